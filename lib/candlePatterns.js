@@ -0,0 +1,182 @@
+/**
+ * Candlestick pattern engine
+ *
+ * Scans the last `window` candles for engulfing, hammer/shooting star, doji, inside/outside bar,
+ * morning/evening star and three soldiers/crows. Strength (0..1) starts from the pattern's base
+ * reliability and moves with candle size, volume, the preceding trend and how long ago it formed;
+ * patterns that print at a heat-map support/resistance zone get a location boost.
+ */
+
+const BASE_STRENGTH = {
+  bullish_engulfing: 0.65,
+  bearish_engulfing: 0.65,
+  hammer: 0.55,
+  shooting_star: 0.55,
+  doji: 0.3,
+  inside_bar: 0.3,
+  outside_bar: 0.45,
+  morning_star: 0.7,
+  evening_star: 0.7,
+  three_white_soldiers: 0.65,
+  three_black_crows: 0.65,
+};
+const LOCATION_BOOST = 1.35;
+const MIN_STRENGTH = 0.25;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function avg(values) {
+  if (!values.length) return null;
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+function candleAnatomy(candle) {
+  const range = Math.max(0.0000001, candle.high - candle.low);
+  const body = Math.abs(candle.close - candle.open);
+  return {
+    range,
+    body,
+    bodyRatio: body / range,
+    upperWickRatio: (candle.high - Math.max(candle.open, candle.close)) / range,
+    lowerWickRatio: (Math.min(candle.open, candle.close) - candle.low) / range,
+    bullish: candle.close > candle.open,
+    bearish: candle.close < candle.open,
+  };
+}
+
+// Net move of the 5 closes before `index`, so reversal patterns can check what they reverse.
+function priorTrend(ohlcv, index) {
+  const from = ohlcv[index - 6];
+  const to = ohlcv[index - 1];
+  if (!from || !to || !from.close) return 0;
+  return (to.close - from.close) / from.close;
+}
+
+// Patterns completing at `i`: [{ pattern, direction, bars }] where bars is the candle count.
+function matchAt(ohlcv, i) {
+  const c = ohlcv[i];
+  const p = ohlcv[i - 1];
+  const pp = ohlcv[i - 2];
+  const a = candleAnatomy(c);
+  const trend = priorTrend(ohlcv, i);
+  const matches = [];
+
+  if (p) {
+    const pa = candleAnatomy(p);
+    const bodyTop = Math.max(c.open, c.close);
+    const bodyBottom = Math.min(c.open, c.close);
+    const prevTop = Math.max(p.open, p.close);
+    const prevBottom = Math.min(p.open, p.close);
+    if (pa.bearish && a.bullish && bodyBottom <= prevBottom && bodyTop >= prevTop && a.body > pa.body) {
+      matches.push({ pattern: 'bullish_engulfing', direction: 'bullish', bars: 2 });
+    } else if (pa.bullish && a.bearish && bodyBottom <= prevBottom && bodyTop >= prevTop && a.body > pa.body) {
+      matches.push({ pattern: 'bearish_engulfing', direction: 'bearish', bars: 2 });
+    }
+    if (c.high < p.high && c.low > p.low) {
+      matches.push({ pattern: 'inside_bar', direction: 'neutral', bars: 2 });
+    } else if (c.high > p.high && c.low < p.low && a.bodyRatio >= 0.5) {
+      matches.push({ pattern: 'outside_bar', direction: a.bullish ? 'bullish' : 'bearish', bars: 2 });
+    }
+  }
+
+  if (a.bodyRatio <= 0.1) {
+    matches.push({ pattern: 'doji', direction: 'neutral', bars: 1 });
+  } else if (a.bodyRatio <= 0.35 && a.lowerWickRatio >= 2 * a.bodyRatio && a.upperWickRatio <= 0.15 && trend < 0) {
+    matches.push({ pattern: 'hammer', direction: 'bullish', bars: 1 });
+  } else if (a.bodyRatio <= 0.35 && a.upperWickRatio >= 2 * a.bodyRatio && a.lowerWickRatio <= 0.15 && trend > 0) {
+    matches.push({ pattern: 'shooting_star', direction: 'bearish', bars: 1 });
+  }
+
+  if (p && pp) {
+    const first = candleAnatomy(pp);
+    const middle = candleAnatomy(p);
+    const midpoint = (pp.open + pp.close) / 2;
+    const smallMiddle = middle.body <= first.body * 0.35;
+    if (first.bearish && first.bodyRatio >= 0.5 && smallMiddle && a.bullish && c.close > midpoint) {
+      matches.push({ pattern: 'morning_star', direction: 'bullish', bars: 3 });
+    } else if (first.bullish && first.bodyRatio >= 0.5 && smallMiddle && a.bearish && c.close < midpoint) {
+      matches.push({ pattern: 'evening_star', direction: 'bearish', bars: 3 });
+    }
+
+    const trio = [pp, p, c];
+    const anatomy = [first, middle, a];
+    const strongBodies = anatomy.every((item) => item.bodyRatio >= 0.6);
+    const opensInsidePrior = (k) => trio[k].open >= Math.min(trio[k - 1].open, trio[k - 1].close)
+      && trio[k].open <= Math.max(trio[k - 1].open, trio[k - 1].close);
+    if (strongBodies && opensInsidePrior(1) && opensInsidePrior(2)) {
+      if (anatomy.every((item) => item.bullish) && p.close > pp.close && c.close > p.close) {
+        matches.push({ pattern: 'three_white_soldiers', direction: 'bullish', bars: 3 });
+      } else if (anatomy.every((item) => item.bearish) && p.close < pp.close && c.close < p.close) {
+        matches.push({ pattern: 'three_black_crows', direction: 'bearish', bars: 3 });
+      }
+    }
+  }
+  return matches;
+}
+
+// A bullish pattern's low must sit in a support zone and a bearish pattern's high in a resistance
+// zone (half a zone width of slack); dojis and inside bars may use either extreme.
+function findZone(ohlcv, index, bars, direction, liquidity) {
+  const candles = ohlcv.slice(index - bars + 1, index + 1);
+  const low = Math.min(...candles.map((c) => c.low));
+  const high = Math.max(...candles.map((c) => c.high));
+  const within = (price, zone) => {
+    const slack = (zone.high - zone.low) / 2;
+    return price >= zone.low - slack && price <= zone.high + slack;
+  };
+  const support = direction !== 'bearish' ? (liquidity?.supportZones || []).find((zone) => within(low, zone)) : null;
+  if (support) return { type: 'support', center: support.center };
+  const resistance = direction !== 'bullish' ? (liquidity?.resistanceZones || []).find((zone) => within(high, zone)) : null;
+  return resistance ? { type: 'resistance', center: resistance.center } : null;
+}
+
+/**
+ * Matches ending in the last `window` candles, strongest first:
+ * [{ pattern, direction, strength, timestamp, barsAgo, location }].
+ */
+function detectCandlePatterns(ohlcv, liquidity = null, window = 5) {
+  if (ohlcv.length < 2) return [];
+  const ranges = ohlcv.slice(-14).map((c) => c.high - c.low);
+  const volumes = ohlcv.slice(-20).map((c) => c.volume || 0);
+  const avgRange = avg(ranges) || 0;
+  const avgVolume = avg(volumes) || 0;
+  const found = [];
+
+  for (let i = Math.max(1, ohlcv.length - window); i < ohlcv.length; i++) {
+    const barsAgo = ohlcv.length - 1 - i;
+    matchAt(ohlcv, i).forEach((match) => {
+      const trend = priorTrend(ohlcv, i - match.bars + 1);
+      const candles = ohlcv.slice(i - match.bars + 1, i + 1);
+      const span = Math.max(...candles.map((c) => c.high)) - Math.min(...candles.map((c) => c.low));
+      const sizeFactor = avgRange > 0 ? clamp(span / (avgRange * match.bars), 0.6, 1.4) : 1;
+      const volumeFactor = avgVolume > 0 ? clamp((ohlcv[i].volume || 0) / avgVolume, 0.7, 1.3) : 1;
+      // Every directional pattern here is a reversal: it means more after a move against it.
+      const against = (match.direction === 'bullish' && trend < 0) || (match.direction === 'bearish' && trend > 0);
+      const trendFactor = match.direction === 'neutral' ? 1 : (against ? 1.15 : 0.85);
+      const location = findZone(ohlcv, i, match.bars, match.direction, liquidity);
+      const strength = clamp(
+        BASE_STRENGTH[match.pattern] * sizeFactor * volumeFactor * trendFactor
+        * (location ? LOCATION_BOOST : 1) * (1 - 0.12 * barsAgo),
+        0,
+        1,
+      );
+      if (strength < MIN_STRENGTH) return;
+      found.push({
+        pattern: match.pattern,
+        direction: match.direction,
+        strength,
+        timestamp: ohlcv[i].timestamp,
+        barsAgo,
+        location,
+      });
+    });
+  }
+  return found.sort((a, b) => b.strength - a.strength);
+}
+
+module.exports = {
+  candleAnatomy,
+  detectCandlePatterns,
+};
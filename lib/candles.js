@@ -0,0 +1,156 @@
+/**
+ * Candle pipeline: OHLC bars + market-chart volume
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function medianInterval(timestamps) {
+  if (timestamps.length < 2) return null;
+  const diffs = [];
+  for (let i = 1; i < timestamps.length; i++) {
+    const diff = timestamps[i] - timestamps[i - 1];
+    if (diff > 0) diffs.push(diff);
+  }
+  if (!diffs.length) return null;
+  diffs.sort((a, b) => a - b);
+  return diffs[Math.floor(diffs.length / 2)];
+}
+
+function sortAndDedupe(candles) {
+  const byTs = new Map();
+  candles.forEach((candle) => byTs.set(candle.timestamp, candle));
+  return Array.from(byTs.values()).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// CoinGecko /ohlc rows are [closeTime, open, high, low, close] with no volume.
+function candlesFromOhlc(rows) {
+  const candles = (Array.isArray(rows) ? rows : [])
+    .map((row) => {
+      const timestamp = toNumber(row?.[0]);
+      const open = toNumber(row?.[1]);
+      const high = toNumber(row?.[2]);
+      const low = toNumber(row?.[3]);
+      const close = toNumber(row?.[4]);
+      if (timestamp == null || open == null || high == null || low == null || close == null) return null;
+      if (open <= 0 || close <= 0 || high < low) return null;
+      return {
+        timestamp,
+        open,
+        high: Math.max(high, open, close),
+        low: Math.min(low, open, close),
+        close,
+        volume: 0,
+        provenance: 'ohlc',
+        volumeSource: 'none',
+      };
+    })
+    .filter(Boolean);
+  return sortAndDedupe(candles);
+}
+
+// Market-chart prices are single samples; each candle spans the previous sample to this one.
+function candlesFromPricePoints(prices) {
+  const points = (Array.isArray(prices) ? prices : [])
+    .map((row) => ({ timestamp: toNumber(row?.[0]), price: toNumber(row?.[1]) }))
+    .filter((p) => p.timestamp != null && p.price != null && p.price > 0)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const candles = points.map((point, i) => {
+    const open = i > 0 ? points[i - 1].price : point.price;
+    return {
+      timestamp: point.timestamp,
+      open,
+      high: Math.max(open, point.price),
+      low: Math.min(open, point.price),
+      close: point.price,
+      volume: 0,
+      provenance: 'price_point',
+      volumeSource: 'none',
+    };
+  });
+  return sortAndDedupe(candles);
+}
+
+// total_volumes samples are rolling 24h USD volume. Daily samples are exactly one bar's volume.
+// Intraday bars cannot be recovered from them: the difference of consecutive samples is the bar's
+// volume minus the bar 24h earlier, which is unknown. Those bars get the 24h figure pro-rated to
+// their span and are tagged `market_chart_24h`, so volume-based scoring can leave them out.
+function attachVolumes(candles, volumeRows, intervalMs = null) {
+  if (!candles.length) return candles;
+  const samples = (Array.isArray(volumeRows) ? volumeRows : [])
+    .map((row) => ({ timestamp: toNumber(row?.[0]), volume: toNumber(row?.[1]) }))
+    .filter((s) => s.timestamp != null && s.volume != null && s.volume >= 0)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  if (!samples.length) return candles;
+
+  const span = intervalMs || medianInterval(candles.map((c) => c.timestamp)) || DAY_MS;
+  const daily = span >= DAY_MS * 0.9;
+  const share = Math.min(1, span / DAY_MS);
+  const tolerance = span;
+  let j = 0;
+
+  candles.forEach((candle) => {
+    while (j + 1 < samples.length && samples[j + 1].timestamp <= candle.timestamp) j += 1;
+    const candidates = [samples[j], samples[j + 1]].filter(Boolean);
+    let best = null;
+    candidates.forEach((sample) => {
+      const distance = Math.abs(sample.timestamp - candle.timestamp);
+      if (distance > tolerance) return;
+      if (!best || distance < best.distance) best = { sample, distance };
+    });
+    if (best) {
+      candle.volume = best.sample.volume * share;
+      candle.volumeSource = daily ? 'market_chart' : 'market_chart_24h';
+    }
+  });
+  return candles;
+}
+
+// Pro-rated 24h volume (alone or merged into a resampled bucket) is not per-bar volume.
+function hasApproximateVolume(candles) {
+  return candles.some((candle) => candle.volumeSource === 'market_chart_24h'
+    || (candle.volumeSource === 'mixed' && candle.volume > 0));
+}
+
+function summarizeProvenance(candles) {
+  const counts = {};
+  const volumeCounts = {};
+  candles.forEach((candle) => {
+    const key = candle.provenance || 'unknown';
+    const volumeKey = candle.volumeSource || 'unknown';
+    counts[key] = (counts[key] || 0) + 1;
+    volumeCounts[volumeKey] = (volumeCounts[volumeKey] || 0) + 1;
+  });
+  return {
+    candles: candles.length,
+    price: counts,
+    volume: volumeCounts,
+    volumeApproximate: hasApproximateVolume(candles),
+    intervalMs: medianInterval(candles.map((c) => c.timestamp)),
+    resample: candles.resample
+      ? {
+        timeframe: candles.resample.timeframe,
+        sourceIntervalMs: candles.resample.sourceIntervalMs,
+        coarserSource: candles.resample.coarserSource,
+        partialLast: Boolean(candles[candles.length - 1]?.partial),
+        gaps: candles.resample.gaps.slice(-10),
+        missingBuckets: candles.resample.missingBuckets,
+      }
+      : null,
+  };
+}
+
+module.exports = {
+  DAY_MS,
+  medianInterval,
+  candlesFromOhlc,
+  candlesFromPricePoints,
+  attachVolumes,
+  hasApproximateVolume,
+  summarizeProvenance,
+};
@@ -0,0 +1,59 @@
+/**
+ * Contract-address query parsing
+ *
+ * Accepts `chain:address` (chain as a CoinGecko asset-platform id or a common alias) or a bare
+ * address. Bare 0x addresses are tried on each EVM platform in CONTRACT_EVM_PLATFORMS order;
+ * bare base58 addresses are treated as Solana mints.
+ */
+const PLATFORM_ALIASES = {
+  eth: 'ethereum',
+  erc20: 'ethereum',
+  bsc: 'binance-smart-chain',
+  bnb: 'binance-smart-chain',
+  bep20: 'binance-smart-chain',
+  arb: 'arbitrum-one',
+  arbitrum: 'arbitrum-one',
+  op: 'optimistic-ethereum',
+  optimism: 'optimistic-ethereum',
+  polygon: 'polygon-pos',
+  matic: 'polygon-pos',
+  avax: 'avalanche',
+  sol: 'solana',
+  base: 'base',
+};
+const EVM_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const BASE58_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const EVM_PLATFORMS = String(process.env.CONTRACT_EVM_PLATFORMS || 'ethereum,binance-smart-chain,base,arbitrum-one,polygon-pos')
+  .split(',')
+  .map((platform) => platform.trim().toLowerCase())
+  .filter(Boolean);
+
+function normalizePlatform(raw) {
+  const key = String(raw || '').trim().toLowerCase();
+  if (!key) return null;
+  return PLATFORM_ALIASES[key] || key;
+}
+
+/**
+ * Returns { address, platforms } for a contract query or null for names/tickers.
+ * EVM addresses are lower-cased; base58 addresses keep their case.
+ */
+function parseContractQuery(raw) {
+  const value = String(raw || '').trim();
+  const separator = value.indexOf(':');
+  const chain = separator > 0 ? normalizePlatform(value.slice(0, separator)) : null;
+  const address = separator > 0 ? value.slice(separator + 1).trim() : value;
+
+  if (EVM_ADDRESS.test(address)) {
+    if (chain === 'solana') return null;
+    return { address: address.toLowerCase(), platforms: chain ? [chain] : EVM_PLATFORMS };
+  }
+  if (BASE58_ADDRESS.test(address) && (!chain || chain === 'solana')) {
+    return { address, platforms: ['solana'] };
+  }
+  return null;
+}
+
+module.exports = {
+  parseContractQuery,
+};
@@ -0,0 +1,60 @@
+/**
+ * Request-scoped upstream data context
+ *
+ * Wrap one handler call in runWithDataContext() and every memoize() inside it (across awaits)
+ * shares a single map of in-flight/settled upstream responses. Outside a context memoize() is a
+ * plain pass-through, so library callers keep their current behaviour.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+function createDataContext() {
+  return {
+    entries: new Map(),
+    stats: { hits: 0, misses: 0 },
+  };
+}
+
+function runWithDataContext(fn, context = createDataContext()) {
+  return storage.run(context, fn);
+}
+
+function getDataContext() {
+  return storage.getStore() || null;
+}
+
+function memoize(key, loader, meta = null) {
+  const context = storage.getStore();
+  if (!context) return loader();
+  const entry = context.entries.get(key);
+  if (entry) {
+    context.stats.hits += 1;
+    return entry.promise;
+  }
+  context.stats.misses += 1;
+  const promise = Promise.resolve().then(loader);
+  context.entries.set(key, { promise, meta });
+  return promise;
+}
+
+// Lets a caller reuse a broader response (e.g. a longer chart window) recorded under another key.
+function findMemoized(predicate) {
+  const context = storage.getStore();
+  if (!context) return null;
+  for (const entry of context.entries.values()) {
+    if (entry.meta && predicate(entry.meta)) {
+      context.stats.hits += 1;
+      return entry.promise;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  createDataContext,
+  runWithDataContext,
+  getDataContext,
+  memoize,
+  findMemoized,
+};
@@ -0,0 +1,141 @@
+/**
+ * Perpetual-futures derivatives adapter
+ *
+ * Speaks the common USDT-margined perpetual REST shape (premium index, funding history,
+ * open-interest history, global account long/short ratio). Off unless DERIVATIVES_PROVIDER=perp;
+ * point DERIVATIVES_API_BASE_URL at a compatible venue or a local mock server. Calls draw from
+ * their own `derivatives` budget in the request scheduler.
+ */
+const { scheduleRequest } = require('./requestScheduler');
+
+const DERIVATIVES_API_BASE_URL = String(process.env.DERIVATIVES_API_BASE_URL || 'https://fapi.binance.com').replace(/\/+$/, '');
+const DERIVATIVES_ENABLED = String(process.env.DERIVATIVES_PROVIDER || 'none').toLowerCase() === 'perp';
+const SOURCE = 'perp_api';
+const HOUR_MS = 60 * 60 * 1000;
+const PERIOD_BY_TIMEFRAME = { '15m': '15m', '1h': '1h', '4h': '4h', '1d': '1d' };
+const PERIOD_MS = { '15m': 15 * 60 * 1000, '1h': HOUR_MS, '4h': 4 * HOUR_MS, '1d': 24 * HOUR_MS };
+
+function readNumberEnv(name, fallback, min, max) {
+  const parsed = Number(process.env[name]);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.max(min, Math.min(max, parsed));
+}
+
+const DERIVATIVES_TIMEOUT_MS = readNumberEnv('DERIVATIVES_TIMEOUT_MS', 4000, 500, 15000);
+// Four calls per signal; Binance's IP weight limit is far above this default.
+const DERIVATIVES_BUDGET = {
+  perMinute: readNumberEnv('DERIVATIVES_RATE_LIMIT_PER_MIN', 120, 1, 2400),
+};
+
+function toNumber(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function pctChange(latest, previous) {
+  if (latest == null || previous == null || previous === 0) return null;
+  return ((latest - previous) / Math.abs(previous)) * 100;
+}
+
+async function requestJson(pathname, params) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), DERIVATIVES_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${DERIVATIVES_API_BASE_URL}${pathname}?${params}`, {
+      headers: { Accept: 'application/json' },
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      const err = new Error(`Derivatives API ${pathname} responded ${response.status}`);
+      err.status = response.status;
+      err.headers = response.headers;
+      throw err;
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function getJson(pathname, query) {
+  const params = new URLSearchParams(query);
+  return scheduleRequest('derivatives', DERIVATIVES_BUDGET, () => requestJson(pathname, params), { priority: 'normal' });
+}
+
+// Rows come back oldest-first; compare the latest point with the one ~24h earlier.
+function dayOverDay(rows, readValue, periodMs) {
+  const points = rows
+    .map((row) => ({ timestamp: toNumber(row?.timestamp), value: readValue(row) }))
+    .filter((p) => p.timestamp != null && p.value != null)
+    .sort((a, b) => a.timestamp - b.timestamp);
+  if (!points.length) return { latest: null, changePct: null };
+  const latest = points[points.length - 1];
+  const target = latest.timestamp - Math.max(24 * HOUR_MS, periodMs);
+  const previous = points.filter((p) => p.timestamp <= target).pop() || (points.length > 1 ? points[0] : null);
+  return { latest: latest.value, changePct: previous ? pctChange(latest.value, previous.value) : null };
+}
+
+function summarizeFunding(premium, history) {
+  const rows = (Array.isArray(history) ? history : [])
+    .map((row) => ({ rate: toNumber(row?.fundingRate), time: toNumber(row?.fundingTime) }))
+    .filter((row) => row.rate != null && row.time != null)
+    .sort((a, b) => a.time - b.time);
+  const current = toNumber(premium?.lastFundingRate) ?? (rows.length ? rows[rows.length - 1].rate : null);
+  if (current == null) return null;
+  const intervalMs = rows.length >= 2 ? rows[rows.length - 1].time - rows[rows.length - 2].time : 8 * HOUR_MS;
+  const fundingsPerYear = (365 * 24 * HOUR_MS) / Math.max(HOUR_MS, intervalMs);
+  const nextFundingTime = toNumber(premium?.nextFundingTime);
+  return {
+    current,
+    annualizedPct: current * fundingsPerYear * 100,
+    nextFundingTime: nextFundingTime ? new Date(nextFundingTime).toISOString() : null,
+    history: rows.slice(-8).map((row) => ({ rate: row.rate, time: new Date(row.time).toISOString() })),
+  };
+}
+
+async function fetchDerivativesSnapshot(symbol, timeframe = '4h') {
+  if (!DERIVATIVES_ENABLED) return null;
+  const period = PERIOD_BY_TIMEFRAME[timeframe] || '1h';
+  const periodMs = PERIOD_MS[period];
+  const limit = Math.min(500, Math.ceil((24 * HOUR_MS) / periodMs) + 2);
+  const [premiumResult, fundingResult, oiResult, ratioResult] = await Promise.allSettled([
+    getJson('/fapi/v1/premiumIndex', { symbol }),
+    getJson('/fapi/v1/fundingRate', { symbol, limit: 30 }),
+    getJson('/futures/data/openInterestHist', { symbol, period, limit }),
+    getJson('/futures/data/globalLongShortAccountRatio', { symbol, period, limit }),
+  ]);
+  const value = (result) => (result.status === 'fulfilled' ? result.value : null);
+  const errors = [premiumResult, fundingResult, oiResult, ratioResult]
+    .filter((result) => result.status === 'rejected')
+    .map((result) => String(result.reason?.message || result.reason));
+
+  const funding = summarizeFunding(value(premiumResult), value(fundingResult));
+  const oiRows = Array.isArray(value(oiResult)) ? value(oiResult) : [];
+  const ratioRows = Array.isArray(value(ratioResult)) ? value(ratioResult) : [];
+  const openInterest = oiRows.length
+    ? dayOverDay(oiRows, (row) => toNumber(row?.sumOpenInterestValue) ?? toNumber(row?.sumOpenInterest), periodMs)
+    : null;
+  const longShortRatio = ratioRows.length
+    ? dayOverDay(ratioRows, (row) => toNumber(row?.longShortRatio), periodMs)
+    : null;
+
+  if (!funding && !openInterest?.latest && !longShortRatio?.latest) {
+    if (!errors.length) return null;
+    throw new Error(`Derivatives API unavailable for ${symbol}: ${errors[0]}`);
+  }
+  return {
+    symbol,
+    period,
+    errors,
+    fundingRate: funding ? { ...funding, source: SOURCE } : null,
+    openInterest: openInterest?.latest != null ? { ...openInterest, source: SOURCE } : null,
+    longShortRatio: longShortRatio?.latest != null
+      ? { ratio: longShortRatio.latest, changePct: longShortRatio.changePct, source: SOURCE }
+      : null,
+  };
+}
+
+module.exports = {
+  fetchDerivativesSnapshot,
+};
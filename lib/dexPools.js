@@ -0,0 +1,179 @@
+/**
+ * DEX pool adapter
+ *
+ * Speaks the GeckoTerminal v2 REST shape (token pools, pool OHLCV). Used for
+ * long-tail tokens whose CoinGecko market chart is missing; the deepest pool for the token
+ * supplies candles plus liquidity and 24h buy/sell transaction counts. Calls draw from their own
+ * `dex` budget in the request scheduler.
+ */
+const { summarizeProvenance } = require('./candles');
+const { timeframeMs, resampleCandles } = require('./resample');
+const { scheduleRequest } = require('./requestScheduler');
+
+const DEX_API_BASE_URL = String(process.env.DEX_API_BASE_URL || 'https://api.geckoterminal.com/api/v2').replace(/\/+$/, '');
+const DEX_ENABLED = String(process.env.DEX_PROVIDER || 'geckoterminal').toLowerCase() !== 'none';
+const SOURCE = 'dex_pool';
+// CoinGecko asset-platform id -> GeckoTerminal network id.
+const NETWORK_BY_PLATFORM = {
+  ethereum: 'eth',
+  'binance-smart-chain': 'bsc',
+  base: 'base',
+  'arbitrum-one': 'arbitrum',
+  'polygon-pos': 'polygon_pos',
+  'optimistic-ethereum': 'optimism',
+  avalanche: 'avax',
+  solana: 'solana',
+};
+const OHLCV_PERIOD = {
+  '15m': { unit: 'minute', aggregate: 15 },
+  '1h': { unit: 'hour', aggregate: 1 },
+  '4h': { unit: 'hour', aggregate: 4 },
+  '1d': { unit: 'day', aggregate: 1 },
+};
+
+function readNumberEnv(name, fallback, min, max) {
+  const parsed = Number(process.env[name]);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.max(min, Math.min(max, parsed));
+}
+
+const DEX_TIMEOUT_MS = readNumberEnv('DEX_TIMEOUT_MS', 5000, 500, 15000);
+const DEX_MIN_LIQUIDITY_USD = readNumberEnv('DEX_MIN_LIQUIDITY_USD', 10000, 0, 1e9);
+// GeckoTerminal's public API allows 30 calls per minute.
+const DEX_BUDGET = {
+  perMinute: readNumberEnv('DEX_RATE_LIMIT_PER_MIN', 30, 1, 600),
+};
+// Token-pool lookups run in parallel, so a fallback costs one timeout rather than one per chain.
+const DEX_MAX_TOKEN_LOOKUPS = Math.round(readNumberEnv('DEX_MAX_TOKEN_LOOKUPS', 4, 1, 10));
+
+function toNumber(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+async function requestJson(pathname, params) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), DEX_TIMEOUT_MS);
+  try {
+    const response = await fetch(`${DEX_API_BASE_URL}${pathname}?${params}`, {
+      headers: { Accept: 'application/json' },
+      signal: controller.signal,
+    });
+    if (!response.ok) {
+      const err = new Error(`DEX API ${pathname} responded ${response.status}`);
+      err.status = response.status;
+      err.headers = response.headers;
+      throw err;
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function getJson(pathname, query = {}) {
+  const params = new URLSearchParams(query);
+  return scheduleRequest('dex', DEX_BUDGET, () => requestJson(pathname, params), { priority: 'normal' });
+}
+
+// Relationship ids look like `<network>_<address>`; network ids may themselves contain underscores.
+function splitResourceId(id) {
+  const value = String(id || '');
+  const cut = value.lastIndexOf('_');
+  return cut > 0 ? { network: value.slice(0, cut), address: value.slice(cut + 1) } : null;
+}
+
+function toPool(row, tokenRef) {
+  const attributes = row?.attributes || {};
+  const baseToken = splitResourceId(row?.relationships?.base_token?.data?.id);
+  const network = splitResourceId(row?.id)?.network || baseToken?.network || null;
+  const tx = attributes.transactions?.h24 || {};
+  const buys = toNumber(tx.buys);
+  const sells = toNumber(tx.sells);
+  return {
+    network,
+    address: attributes.address || null,
+    name: attributes.name || '',
+    dex: row?.relationships?.dex?.data?.id || null,
+    // The candles must be priced in the requested token, whichever side of the pair it sits on.
+    token: tokenRef,
+    liquidityUsd: toNumber(attributes.reserve_in_usd),
+    volume24hUsd: toNumber(attributes.volume_usd?.h24),
+    priceUsd: toNumber(attributes.base_token_price_usd),
+    transactions24h: {
+      buys,
+      sells,
+      buyers: toNumber(tx.buyers),
+      sellers: toNumber(tx.sellers),
+    },
+    buySellRatio: buys != null && sells ? buys / sells : null,
+    createdAt: attributes.pool_created_at || null,
+    source: SOURCE,
+  };
+}
+
+function deepestPool(pools) {
+  return pools
+    .filter((pool) => pool.network && pool.address && (pool.liquidityUsd ?? 0) >= DEX_MIN_LIQUIDITY_USD)
+    .sort((a, b) => (b.liquidityUsd ?? 0) - (a.liquidityUsd ?? 0))[0] || null;
+}
+
+/**
+ * Finds the deepest pool for a token. tokens: [{ platform, address }] from the contract lookup or
+ * the coin's `platforms` map. Pools are never matched by ticker text: a same-ticker pool is
+ * usually a different token.
+ */
+async function findDexPool(tokens = []) {
+  if (!DEX_ENABLED) return null;
+  const lookups = tokens
+    .map((token) => ({ network: NETWORK_BY_PLATFORM[token.platform], address: token.address }))
+    .filter((token) => token.network && token.address)
+    .slice(0, DEX_MAX_TOKEN_LOOKUPS);
+  const results = await Promise.allSettled(lookups.map(async (token) => {
+    const payload = await getJson(`/networks/${token.network}/tokens/${token.address}/pools`, { page: 1 });
+    return (payload?.data || []).map((row) => toPool(row, token.address));
+  }));
+  return deepestPool(results.flatMap((result) => (result.status === 'fulfilled' ? result.value : [])));
+}
+
+async function fetchDexCandles(symbol, timeframe, limit = 120, tokens = []) {
+  const pool = await findDexPool(tokens);
+  if (!pool) {
+    throw new Error(`No DEX pool with liquidity for ${symbol}`);
+  }
+  const period = OHLCV_PERIOD[timeframe] || OHLCV_PERIOD['4h'];
+  const payload = await getJson(`/networks/${pool.network}/pools/${pool.address}/ohlcv/${period.unit}`, {
+    aggregate: period.aggregate,
+    limit: Math.min(1000, limit + 1),
+    currency: 'usd',
+    token: pool.token,
+  });
+  // Rows are [openTimeSec, open, high, low, close, volumeUsd], newest first.
+  const rows = (payload?.data?.attributes?.ohlcv_list || [])
+    .map((row) => ({
+      timestamp: toNumber(row?.[0]) * 1000,
+      open: toNumber(row?.[1]),
+      high: toNumber(row?.[2]),
+      low: toNumber(row?.[3]),
+      close: toNumber(row?.[4]),
+      volume: toNumber(row?.[5]) ?? 0,
+      provenance: SOURCE,
+      volumeSource: SOURCE,
+    }))
+    .filter((c) => c.timestamp > 0 && c.open != null && c.high != null && c.low != null && c.close != null);
+  const series = resampleCandles(rows, timeframe, { stamp: 'open', sourceIntervalMs: timeframeMs(timeframe) });
+  if (!series.length) {
+    throw new Error(`DEX pool ${pool.address} returned no candles`);
+  }
+  const candles = series.slice(-limit);
+  candles.dataSource = SOURCE;
+  candles.resample = series.resample;
+  candles.provenance = summarizeProvenance(candles);
+  candles.pool = pool;
+  return candles;
+}
+
+module.exports = {
+  fetchDexCandles,
+};
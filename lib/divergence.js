@@ -0,0 +1,103 @@
+/**
+ * RSI / MACD divergence detector
+ *
+ * Compares the last two price pivots of each kind with the oscillator pivots that formed next
+ * to them. Regular divergences (price makes the more extreme pivot, the oscillator doesn't) warn
+ * of reversals; hidden ones (the oscillator is more extreme) back trend continuation.
+ */
+const { findPivots, candlePivots } = require('./pivots');
+
+const PIVOT_SPAN = 3;
+// Oscillator pivots may lead or lag the price pivot by a bar or two.
+const PIVOT_TOLERANCE_BARS = 2;
+const MIN_PIVOT_GAP = 5;
+const MAX_PIVOT_GAP = 60;
+// Only divergences whose second pivot is this recent (after confirmation) are reported.
+const MAX_PIVOT_AGE = 8;
+// Weaker matches are mostly two near-equal pivots wobbling against each other.
+const MIN_STRENGTH = 0.3;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function nearestPivot(pivots, index) {
+  let best = null;
+  pivots.forEach((pivot) => {
+    const distance = Math.abs(pivot.index - index);
+    if (distance <= PIVOT_TOLERANCE_BARS && (!best || distance < Math.abs(best.index - index))) best = pivot;
+  });
+  return best;
+}
+
+// Distances of 10-40 bars are the classic setup; shorter ones are noise, longer ones stale.
+function distanceScore(gap) {
+  if (gap < 10) return clamp((gap - MIN_PIVOT_GAP + 1) / (10 - MIN_PIVOT_GAP + 1), 0, 1);
+  if (gap <= 40) return 1;
+  return clamp(1 - (gap - 40) / 30, 0.2, 1);
+}
+
+function classify(type, priceDelta, oscDelta) {
+  if (type === 'low') {
+    if (priceDelta < 0 && oscDelta > 0) return { kind: 'regular', direction: 'bullish' };
+    if (priceDelta > 0 && oscDelta < 0) return { kind: 'hidden', direction: 'bullish' };
+  } else {
+    if (priceDelta > 0 && oscDelta < 0) return { kind: 'regular', direction: 'bearish' };
+    if (priceDelta < 0 && oscDelta > 0) return { kind: 'hidden', direction: 'bearish' };
+  }
+  return null;
+}
+
+/**
+ * oscillator: { id, values (aligned with ohlcv, null before warm-up), scale }. `scale` is the
+ * oscillator move treated as a full-strength divergence (e.g. 10 RSI points).
+ */
+function detectOscillatorDivergences(ohlcv, oscillator) {
+  const found = [];
+  ['low', 'high'].forEach((type) => {
+    const pricePivots = candlePivots(ohlcv, type, PIVOT_SPAN);
+    const oscPivots = findPivots(oscillator.values, { type, left: PIVOT_SPAN, right: PIVOT_SPAN });
+    const last = pricePivots[pricePivots.length - 1];
+    const prev = pricePivots[pricePivots.length - 2];
+    if (!last || !prev) return;
+    const gap = last.index - prev.index;
+    if (gap < MIN_PIVOT_GAP || gap > MAX_PIVOT_GAP) return;
+    if (ohlcv.length - 1 - PIVOT_SPAN - last.index > MAX_PIVOT_AGE) return;
+
+    const lastOsc = nearestPivot(oscPivots, last.index);
+    const prevOsc = nearestPivot(oscPivots, prev.index);
+    if (!lastOsc || !prevOsc || lastOsc.index === prevOsc.index) return;
+
+    const priceDelta = (last.value - prev.value) / prev.value;
+    const oscDelta = lastOsc.value - prevOsc.value;
+    const match = classify(type, priceDelta, oscDelta);
+    if (!match) return;
+
+    const oscMagnitude = clamp(Math.abs(oscDelta) / oscillator.scale, 0, 1);
+    const priceMagnitude = clamp(Math.abs(priceDelta) / 0.05, 0, 1);
+    const strength = clamp(0.5 * oscMagnitude + 0.3 * priceMagnitude + 0.2 * distanceScore(gap), 0, 1);
+    if (strength < MIN_STRENGTH) return;
+    found.push({
+      oscillator: oscillator.id,
+      ...match,
+      pivotType: type,
+      strength,
+      bars: gap,
+      pivots: {
+        price: [prev, last].map((pivot) => ({ timestamp: ohlcv[pivot.index].timestamp, value: pivot.value })),
+        oscillator: [prevOsc, lastOsc].map((pivot) => ({ timestamp: ohlcv[pivot.index].timestamp, value: pivot.value })),
+      },
+    });
+  });
+  return found;
+}
+
+function detectDivergences(ohlcv, oscillators) {
+  return oscillators
+    .flatMap((oscillator) => detectOscillatorDivergences(ohlcv, oscillator))
+    .sort((a, b) => b.strength - a.strength);
+}
+
+module.exports = {
+  detectDivergences,
+};
@@ -0,0 +1,80 @@
+/**
+ * Fibonacci retracements and extensions
+ *
+ * Anchors on the latest impulse leg between the last confirmed swing high and swing low (from
+ * market structure), extended to the furthest price reached since. Levels that sit near another
+ * reference (heat-map node, VWAP, EMA50, SMA200) are marked confluent; only those are used to
+ * snap the trade plan.
+ */
+const RETRACEMENTS = [0.382, 0.5, 0.618];
+const EXTENSIONS = [1.272, 1.618];
+
+function extremeIndex(ohlcv, from, field, pick) {
+  let best = from;
+  for (let i = from + 1; i < ohlcv.length; i++) {
+    if (pick(ohlcv[i][field], ohlcv[best][field])) best = i;
+  }
+  return best;
+}
+
+function upLeg(ohlcv, startIndex, start) {
+  const endIndex = extremeIndex(ohlcv, startIndex, 'high', (a, b) => a > b);
+  return { direction: 'up', startIndex, start, endIndex, end: ohlcv[endIndex].high };
+}
+
+function downLeg(ohlcv, startIndex, start) {
+  const endIndex = extremeIndex(ohlcv, startIndex, 'low', (a, b) => a < b);
+  return { direction: 'down', startIndex, start, endIndex, end: ohlcv[endIndex].low };
+}
+
+function findImpulseLeg(ohlcv, structure) {
+  const high = structure?.swingHigh;
+  const low = structure?.swingLow;
+  if (!high || !low) return null;
+  let leg = high.index > low.index ? upLeg(ohlcv, low.index, low.price) : downLeg(ohlcv, high.index, high.price);
+  // A close beyond the leg's origin voids it; the move away from its end is the new impulse.
+  const close = ohlcv[ohlcv.length - 1].close;
+  if (leg.direction === 'up' && close < leg.start) leg = downLeg(ohlcv, leg.endIndex, leg.end);
+  else if (leg.direction === 'down' && close > leg.start) leg = upLeg(ohlcv, leg.endIndex, leg.end);
+  return leg.end !== leg.start ? leg : null;
+}
+
+/**
+ * references: [{ source, price }]; a level is confluent with every reference within `tolerance`.
+ * Returns { direction, leg, retracements, extensions } or null without a usable leg.
+ */
+function buildFibonacci(ohlcv, structure, references = [], tolerance = 0) {
+  const leg = findImpulseLeg(ohlcv, structure);
+  if (!leg) return null;
+  const size = leg.end - leg.start;
+  const level = (kind, ratio, price) => ({
+    kind,
+    ratio,
+    price,
+    confluence: [...new Set(references
+      .filter((ref) => ref.price != null && Math.abs(ref.price - price) <= tolerance)
+      .map((ref) => ref.source))],
+  });
+  return {
+    direction: leg.direction,
+    leg: {
+      start: { price: leg.start, timestamp: ohlcv[leg.startIndex].timestamp },
+      end: { price: leg.end, timestamp: ohlcv[leg.endIndex].timestamp },
+    },
+    retracements: RETRACEMENTS.map((ratio) => level('retracement', ratio, leg.end - size * ratio)),
+    extensions: EXTENSIONS.map((ratio) => level('extension', ratio, leg.start + size * ratio)),
+  };
+}
+
+// Nearest confluent level to `target` within `maxDistance` that passes `accept`.
+function nearestConfluentLevel(fibonacci, target, maxDistance, accept = () => true) {
+  if (!fibonacci) return null;
+  return [...fibonacci.retracements, ...fibonacci.extensions]
+    .filter((level) => level.confluence.length && Math.abs(level.price - target) <= maxDistance && accept(level))
+    .sort((a, b) => Math.abs(a.price - target) - Math.abs(b.price - target))[0] || null;
+}
+
+module.exports = {
+  buildFibonacci,
+  nearestConfluentLevel,
+};
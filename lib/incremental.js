@@ -0,0 +1,230 @@
+/**
+ * Incremental indicators
+ *
+ * Stateful EMA, RSI, MACD, ATR and ADX with the same math as the batch functions in
+ * indicators.js. Seed one from history, then push() each closed candle; preview() evaluates the
+ * forming candle (a live tick) without committing it. An update is O(1) amortized (RSI and ATR
+ * keep running sums over a ring buffer) and allocates no per-period arrays, however much history
+ * was seeded, so a scanner can keep one per symbol and re-score on every tick.
+ *
+ *   const rsi14 = createRsi(14).seed(closes);
+ *   rsi14.preview(lastTradePrice); // forming candle
+ *   rsi14.push(closedCandle.close); // candle closed
+ */
+
+// step(state, input) must return a new state so preview() can run it without side effects.
+// Ring buffers are the one shared piece: a step only names the slot it fills, and push()/seed() write it.
+function createIndicator(initial, step, read) {
+  let state = initial;
+  const commit = (next) => {
+    if (next.window?.write) next.window.ring[next.window.write.index] = next.window.write.value;
+    state = next;
+  };
+  const indicator = {
+    push(input) {
+      commit(step(state, input));
+      return read(state);
+    },
+    preview(input) {
+      return read(step(state, input));
+    },
+    seed(inputs) {
+      inputs.forEach((input) => commit(step(state, input)));
+      return indicator;
+    },
+    value() {
+      return read(state);
+    },
+    count() {
+      return state.count;
+    },
+  };
+  return indicator;
+}
+
+// ── Steps ───────────────────────────────────────────────────────────────────
+
+// EMA seeded with the SMA of its first `period` values.
+function emaStep(period) {
+  const k = 2 / (period + 1);
+  return (state, price) => {
+    const count = state.count + 1;
+    if (count < period) return { count, seedSum: state.seedSum + price, value: null };
+    if (count === period) return { count, seedSum: null, value: (state.seedSum + price) / period };
+    return { count, seedSum: null, value: price * k + state.value * (1 - k) };
+  };
+}
+
+const EMPTY_EMA = { count: 0, seedSum: 0, value: null };
+
+function macdStep(fast, slow, signal) {
+  const fastStep = emaStep(fast);
+  const slowStep = emaStep(slow);
+  const signalStep = emaStep(signal);
+  return (state, price) => {
+    const fastEma = fastStep(state.fastEma, price);
+    const slowEma = slowStep(state.slowEma, price);
+    const line = slowEma.value !== null ? fastEma.value - slowEma.value : null;
+    // The signal line starts from the first bar after the slow EMA is seeded.
+    const signalEma = line !== null && state.line !== null ? signalStep(state.signalEma, line) : state.signalEma;
+    return { count: state.count + 1, fastEma, slowEma, signalEma, line };
+  };
+}
+
+function readMacd(state) {
+  const signal = state.signalEma.value;
+  return {
+    line: state.line,
+    signal,
+    histogram: signal !== null ? state.line - signal : null,
+  };
+}
+
+function createWindow(period) {
+  return { ring: new Array(period).fill(0), head: 0, size: 0, sums: null, write: null };
+}
+
+/**
+ * Slides `value` into a fixed window and updates running sums of `parts(value)` (an array of
+ * numbers). Each time the ring wraps the sums are recomputed from the ring, so float drift stays
+ * bounded at O(period) work per `period` steps.
+ */
+function slideWindow(window, period, value, parts) {
+  const full = window.size === period;
+  const head = (window.head + 1) % period;
+  const added = parts(value);
+  let sums;
+  if (full && head === 0) {
+    sums = added.map(() => 0);
+    for (let i = 0; i < period; i++) {
+      parts(i === window.head ? value : window.ring[i]).forEach((part, k) => { sums[k] += part; });
+    }
+  } else {
+    const evicted = full ? parts(window.ring[window.head]) : null;
+    sums = added.map((part, k) => (window.sums ? window.sums[k] : 0) + part - (evicted ? evicted[k] : 0));
+  }
+  return {
+    ring: window.ring,
+    head,
+    size: full ? period : window.size + 1,
+    sums,
+    write: { index: window.head, value },
+  };
+}
+
+// [gain, loss, 1 when the change is a loss]; the loss count makes the all-gains case exact.
+function rsiParts(change) {
+  return change > 0 ? [change, 0, 0] : [0, -change, change < 0 ? 1 : 0];
+}
+
+// Simple-average RSI over the last `period` close-to-close changes.
+function rsiStep(period) {
+  return (state, price) => ({
+    count: state.count + 1,
+    prev: price,
+    window: state.prev === null ? state.window : slideWindow(state.window, period, price - state.prev, rsiParts),
+  });
+}
+
+function readRsi(period) {
+  return (state) => {
+    if (state.window.size < period) return null;
+    const [gainSum, lossSum, losses] = state.window.sums;
+    if (losses === 0) return 100;
+    return 100 - 100 / (1 + (gainSum / period) / (lossSum / period));
+  };
+}
+
+function trueRange(candle, prevClose) {
+  return Math.max(candle.high - candle.low, Math.abs(candle.high - prevClose), Math.abs(candle.low - prevClose));
+}
+
+const atrParts = (range) => [range];
+
+// Simple-average ATR over the last `period` true ranges.
+function atrStep(period) {
+  return (state, candle) => ({
+    count: state.count + 1,
+    prev: candle,
+    window: state.prev === null ? state.window : slideWindow(state.window, period, trueRange(candle, state.prev.close), atrParts),
+  });
+}
+
+function readAtr(period) {
+  return (state) => (state.window.size < period ? null : state.window.sums[0] / period);
+}
+
+// Wilder-smoothed ADX: DM/TR sums seed over `period` bars, then DX values seed the ADX average.
+function adxStep(period) {
+  return (state, candle) => {
+    const next = { ...state, count: state.count + 1, prev: candle };
+    const prev = state.prev;
+    if (!prev) return next;
+    const upMove = candle.high - prev.high;
+    const downMove = prev.low - candle.low;
+    const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+    const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+    const tr = trueRange(candle, prev.close);
+    next.moves = state.moves + 1;
+
+    if (next.moves <= period) {
+      next.trSmooth = state.trSmooth + tr;
+      next.plusSmooth = state.plusSmooth + plusDM;
+      next.minusSmooth = state.minusSmooth + minusDM;
+      return next;
+    }
+    next.trSmooth = state.trSmooth - (state.trSmooth / period) + tr;
+    next.plusSmooth = state.plusSmooth - (state.plusSmooth / period) + plusDM;
+    next.minusSmooth = state.minusSmooth - (state.minusSmooth / period) + minusDM;
+    if (next.trSmooth <= 0) return next;
+    const plusDI = (next.plusSmooth / next.trSmooth) * 100;
+    const minusDI = (next.minusSmooth / next.trSmooth) * 100;
+    const denominator = plusDI + minusDI;
+    if (denominator <= 0) return next;
+    const dx = (Math.abs(plusDI - minusDI) / denominator) * 100;
+
+    next.dxCount = state.dxCount + 1;
+    if (next.dxCount < period) next.dxSum = state.dxSum + dx;
+    else if (next.dxCount === period) next.adx = (state.dxSum + dx) / period;
+    else next.adx = ((state.adx * (period - 1)) + dx) / period;
+    return next;
+  };
+}
+
+// ── Factories ───────────────────────────────────────────────────────────────
+
+function createEma(period) {
+  return createIndicator(EMPTY_EMA, emaStep(period), (state) => state.value);
+}
+
+function createRsi(period = 14) {
+  return createIndicator({ count: 0, prev: null, window: createWindow(period) }, rsiStep(period), readRsi(period));
+}
+
+function createMacd(fast = 12, slow = 26, signal = 9) {
+  return createIndicator(
+    { count: 0, fastEma: EMPTY_EMA, slowEma: EMPTY_EMA, signalEma: EMPTY_EMA, line: null },
+    macdStep(fast, slow, signal),
+    readMacd,
+  );
+}
+
+function createAtr(period = 14) {
+  return createIndicator({ count: 0, prev: null, window: createWindow(period) }, atrStep(period), readAtr(period));
+}
+
+function createAdx(period = 14) {
+  return createIndicator(
+    { count: 0, prev: null, moves: 0, trSmooth: 0, plusSmooth: 0, minusSmooth: 0, dxCount: 0, dxSum: 0, adx: null },
+    adxStep(period),
+    (state) => state.adx,
+  );
+}
+
+module.exports = {
+  createEma,
+  createRsi,
+  createMacd,
+  createAtr,
+  createAdx,
+};
@@ -0,0 +1,1196 @@
+/**
+ * Indicator registry
+ *
+ * Each indicator declares its id, params, lookback (bars before its first value), a compute
+ * function and an optional scoring rule. generateSignal scores registered indicators in
+ * registration order, so custom indicators can be added with registerIndicator() without
+ * touching the scoring engine.
+ */
+const { DAY_MS } = require('./candles');
+const { candlePivots } = require('./pivots');
+const { detectDivergences } = require('./divergence');
+const { detectCandlePatterns } = require('./candlePatterns');
+const { createEma, createRsi, createMacd, createAtr, createAdx } = require('./incremental');
+
+const WEEK_MS = 7 * DAY_MS;
+// The Unix epoch fell on a Thursday; weekly sessions start Monday 00:00 UTC.
+const WEEK_OFFSET_MS = 4 * DAY_MS;
+
+function avg(values) {
+  if (!values.length) return null;
+  return values.reduce((s, v) => s + v, 0) / values.length;
+}
+
+function round(value, digits = 2) {
+  if (value == null || Number.isNaN(value)) return null;
+  return +value.toFixed(digits);
+}
+
+function stdDev(values) {
+  if (!values.length) return null;
+  const mean = avg(values);
+  const variance = values.reduce((s, v) => s + (v - mean) ** 2, 0) / values.length;
+  return Math.sqrt(variance);
+}
+
+// ── Indicator Math ──────────────────────────────────────────────────────────
+
+function sma(prices, period) {
+  if (prices.length < period) return null;
+  return prices.slice(-period).reduce((s, v) => s + v, 0) / period;
+}
+
+function ema(prices, period) {
+  return createEma(period).seed(prices).value();
+}
+
+function rsi(prices, period = 14) {
+  return createRsi(period).seed(prices.slice(-period - 1)).value();
+}
+
+function bollingerBands(prices, period = 20, stdMultiplier = 2) {
+  if (prices.length < period) return { upper: null, middle: null, lower: null };
+  const middle = sma(prices, period);
+  const slice = prices.slice(-period);
+  const variance = slice.reduce((s, v) => s + (v - middle) ** 2, 0) / period;
+  const sd = Math.sqrt(variance);
+  return { upper: middle + stdMultiplier * sd, middle, lower: middle - stdMultiplier * sd };
+}
+
+function momentum(prices, period) {
+  if (prices.length <= period) return null;
+  const base = prices[prices.length - 1 - period];
+  if (!base) return null;
+  return (prices[prices.length - 1] - base) / base;
+}
+
+function atr(ohlcv, period = 14) {
+  return createAtr(period).seed(ohlcv.slice(-period - 1)).value();
+}
+
+function adx(ohlcv, period = 14) {
+  return createAdx(period).seed(ohlcv).value();
+}
+
+function stochasticOscillator(ohlcv, kPeriod = 14, dPeriod = 3) {
+  if (ohlcv.length < kPeriod + dPeriod) {
+    return { k: null, d: null, prevK: null, prevD: null };
+  }
+
+  const rawK = [];
+  for (let i = kPeriod - 1; i < ohlcv.length; i++) {
+    const window = ohlcv.slice(i - kPeriod + 1, i + 1);
+    const highest = Math.max(...window.map((c) => c.high));
+    const lowest = Math.min(...window.map((c) => c.low));
+    const close = ohlcv[i].close;
+    if (highest === lowest) {
+      rawK.push(50);
+    } else {
+      rawK.push(((close - lowest) / (highest - lowest)) * 100);
+    }
+  }
+
+  if (rawK.length < dPeriod + 1) {
+    return { k: null, d: null, prevK: null, prevD: null };
+  }
+
+  const k = rawK[rawK.length - 1];
+  const prevK = rawK[rawK.length - 2];
+  const d = avg(rawK.slice(-dPeriod));
+  const prevD = avg(rawK.slice(-dPeriod - 1, -1));
+  return { k, d, prevK, prevD };
+}
+
+function emaSlope(prices, period = 20, lookback = 4) {
+  if (prices.length < period + lookback + 2) return null;
+  const now = ema(prices, period);
+  const prev = ema(prices.slice(0, -lookback), period);
+  if (now == null || prev == null || prev === 0) return null;
+  return (now - prev) / prev;
+}
+
+// Per-bar values of an incremental indicator, aligned with `inputs` (null until it has enough history).
+function pushSeries(indicator, inputs) {
+  return inputs.map((input) => indicator.push(input));
+}
+
+function rsiSeries(prices, period = 14) {
+  return pushSeries(createRsi(period), prices);
+}
+
+function macdHistogramSeries(prices) {
+  return pushSeries(createMacd(), prices).map((value) => value.histogram);
+}
+
+// Money-flow multiplier: +1 closing on the high, -1 on the low.
+function moneyFlowMultiplier(candle) {
+  const range = candle.high - candle.low;
+  return range > 0 ? ((candle.close - candle.low) - (candle.high - candle.close)) / range : 0;
+}
+
+function obvSeries(ohlcv) {
+  const out = [];
+  let total = 0;
+  ohlcv.forEach((c, i) => {
+    if (i > 0 && c.close > ohlcv[i - 1].close) total += c.volume || 0;
+    else if (i > 0 && c.close < ohlcv[i - 1].close) total -= c.volume || 0;
+    out.push(total);
+  });
+  return out;
+}
+
+function adlSeries(ohlcv) {
+  const out = [];
+  let total = 0;
+  ohlcv.forEach((c) => {
+    total += moneyFlowMultiplier(c) * (c.volume || 0);
+    out.push(total);
+  });
+  return out;
+}
+
+function chaikinMoneyFlow(ohlcv, period = 20) {
+  if (ohlcv.length < period) return null;
+  const window = ohlcv.slice(-period);
+  const volume = window.reduce((sum, c) => sum + (c.volume || 0), 0);
+  if (volume <= 0) return null;
+  return window.reduce((sum, c) => sum + moneyFlowMultiplier(c) * (c.volume || 0), 0) / volume;
+}
+
+// Change of a cumulative volume line over `period` bars as a share of the volume traded (-1..1).
+function flowSlope(series, ohlcv, period) {
+  if (series.length <= period) return null;
+  const volume = ohlcv.slice(-period).reduce((sum, c) => sum + (c.volume || 0), 0);
+  if (volume <= 0) return null;
+  return (series[series.length - 1] - series[series.length - 1 - period]) / volume;
+}
+
+// Price closing at a `period`-bar extreme while OBV stays below its own extreme and is falling
+// (or above and rising, for lows).
+function obvDivergence(closes, obv, period, slope) {
+  if (closes.length <= period || slope == null) return null;
+  const last = closes.length - 1;
+  const priorCloses = closes.slice(last - period, last);
+  const priorObv = obv.slice(last - period, last);
+  if (closes[last] >= Math.max(...priorCloses) && obv[last] < Math.max(...priorObv) && slope < 0) return 'bearish';
+  if (closes[last] <= Math.min(...priorCloses) && obv[last] > Math.min(...priorObv) && slope > 0) return 'bullish';
+  return null;
+}
+
+function trueRange(ohlcv, i) {
+  const { high, low } = ohlcv[i];
+  if (i === 0) return high - low;
+  const prevClose = ohlcv[i - 1].close;
+  return Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose));
+}
+
+function midpoint(ohlcv, end, period) {
+  if (end + 1 < period) return null;
+  const window = ohlcv.slice(end + 1 - period, end + 1);
+  return (Math.max(...window.map((c) => c.high)) + Math.min(...window.map((c) => c.low))) / 2;
+}
+
+// Cloud spans are projected `displacement` bars ahead, so the cloud under the current bar was
+// built `displacement` bars ago; chikou compares the close with the close `displacement` bars back.
+function ichimoku(ohlcv, tenkanPeriod = 9, kijunPeriod = 26, spanBPeriod = 52, displacement = 26) {
+  const last = ohlcv.length - 1;
+  const cloudBar = last - displacement;
+  if (cloudBar + 1 < spanBPeriod) return null;
+  const tenkan = midpoint(ohlcv, last, tenkanPeriod);
+  const kijun = midpoint(ohlcv, last, kijunPeriod);
+  const spanA = (midpoint(ohlcv, cloudBar, tenkanPeriod) + midpoint(ohlcv, cloudBar, kijunPeriod)) / 2;
+  const spanB = midpoint(ohlcv, cloudBar, spanBPeriod);
+  const close = ohlcv[last].close;
+  const cloud = close > Math.max(spanA, spanB) ? 'above' : close < Math.min(spanA, spanB) ? 'below' : 'inside';
+
+  let tkCross = null;
+  let tkCrossBarsAgo = null;
+  for (let barsAgo = 0; barsAgo < 3 && !tkCross; barsAgo++) {
+    const i = last - barsAgo;
+    const diff = midpoint(ohlcv, i, tenkanPeriod) - midpoint(ohlcv, i, kijunPeriod);
+    const prevDiff = midpoint(ohlcv, i - 1, tenkanPeriod) - midpoint(ohlcv, i - 1, kijunPeriod);
+    if (prevDiff <= 0 && diff > 0) tkCross = 'bullish';
+    else if (prevDiff >= 0 && diff < 0) tkCross = 'bearish';
+    if (tkCross) tkCrossBarsAgo = barsAgo;
+  }
+
+  const laggedClose = ohlcv[last - displacement].close;
+  return {
+    tenkan,
+    kijun,
+    spanA,
+    spanB,
+    cloud,
+    tkCross,
+    tkCrossBarsAgo,
+    chikou: close > laggedClose ? 'bullish' : close < laggedClose ? 'bearish' : 'neutral',
+  };
+}
+
+function supertrend(ohlcv, period = 10, multiplier = 3) {
+  if (ohlcv.length < period + 1) return null;
+  let upperBand = null;
+  let lowerBand = null;
+  let direction = 'up';
+  let flippedAt = null;
+  let trSum = 0;
+  for (let i = 0; i < ohlcv.length; i++) {
+    trSum += trueRange(ohlcv, i);
+    if (i >= period) trSum -= trueRange(ohlcv, i - period);
+    if (i < period) continue;
+    const range = trSum / period;
+    const mid = (ohlcv[i].high + ohlcv[i].low) / 2;
+    const prevClose = ohlcv[i - 1].close;
+    const basicUpper = mid + multiplier * range;
+    const basicLower = mid - multiplier * range;
+    // Bands only ratchet toward price until the previous close breaks them.
+    upperBand = upperBand === null || basicUpper < upperBand || prevClose > upperBand ? basicUpper : upperBand;
+    lowerBand = lowerBand === null || basicLower > lowerBand || prevClose < lowerBand ? basicLower : lowerBand;
+    const close = ohlcv[i].close;
+    const next = direction === 'up' ? (close < lowerBand ? 'down' : 'up') : (close > upperBand ? 'up' : 'down');
+    if (flippedAt === null || next !== direction) flippedAt = i;
+    direction = next;
+  }
+  return {
+    value: direction === 'up' ? lowerBand : upperBand,
+    direction,
+    flippedBarsAgo: ohlcv.length - 1 - flippedAt,
+  };
+}
+
+function keltnerChannels(ohlcv, period = 20, atrPeriod = 10, multiplier = 2) {
+  const middle = ema(ohlcv.map((c) => c.close), period);
+  const range = atr(ohlcv, atrPeriod);
+  if (middle === null || range === null) return null;
+  return { upper: middle + multiplier * range, middle, lower: middle - multiplier * range };
+}
+
+// Breakouts compare the close with the channel of the `period` bars before it.
+function donchianChannels(ohlcv, period = 20) {
+  if (ohlcv.length < period + 1) return null;
+  const window = ohlcv.slice(-period);
+  const prior = ohlcv.slice(-period - 1, -1);
+  const upper = Math.max(...window.map((c) => c.high));
+  const lower = Math.min(...window.map((c) => c.low));
+  const close = ohlcv[ohlcv.length - 1].close;
+  return {
+    upper,
+    middle: (upper + lower) / 2,
+    lower,
+    breakout: close > Math.max(...prior.map((c) => c.high)) ? 'up' : close < Math.min(...prior.map((c) => c.low)) ? 'down' : null,
+  };
+}
+
+function typicalPrice(candle) {
+  return (candle.high + candle.low + candle.close) / 3;
+}
+
+// Volume-weighted mean of typical price from `start` to the last bar, with its volume-weighted deviation.
+function vwapFrom(ohlcv, start) {
+  let volume = 0;
+  let weighted = 0;
+  let weightedSq = 0;
+  for (let i = Math.max(0, start); i < ohlcv.length; i++) {
+    const tp = typicalPrice(ohlcv[i]);
+    const v = ohlcv[i].volume || 0;
+    volume += v;
+    weighted += tp * v;
+    weightedSq += tp * tp * v;
+  }
+  if (volume <= 0) return null;
+  const vwap = weighted / volume;
+  return { vwap, sd: Math.sqrt(Math.max(0, weightedSq / volume - vwap * vwap)), bars: ohlcv.length - Math.max(0, start) };
+}
+
+// Crypto trades around the clock, so a session is the UTC day (the UTC week for daily candles).
+function sessionVwap(ohlcv) {
+  if (!ohlcv.length) return null;
+  const last = ohlcv[ohlcv.length - 1];
+  const intervalMs = ohlcv.length > 1 ? last.timestamp - ohlcv[ohlcv.length - 2].timestamp : 0;
+  const sessionMs = intervalMs >= DAY_MS ? WEEK_MS : DAY_MS;
+  const offset = sessionMs === WEEK_MS ? WEEK_OFFSET_MS : 0;
+  const sessionStart = Math.floor((last.timestamp - offset) / sessionMs) * sessionMs + offset;
+  const index = ohlcv.findIndex((c) => c.timestamp >= sessionStart);
+  const result = vwapFrom(ohlcv, index);
+  if (!result) return null;
+  return {
+    vwap: result.vwap,
+    upper1: result.vwap + result.sd,
+    lower1: result.vwap - result.sd,
+    upper2: result.vwap + 2 * result.sd,
+    lower2: result.vwap - 2 * result.sd,
+    start: sessionStart,
+    bars: result.bars,
+  };
+}
+
+function anchoredVwap(ohlcv, index, anchorPrice) {
+  if (index < 0) return null;
+  const result = vwapFrom(ohlcv, index);
+  if (!result) return null;
+  return { vwap: result.vwap, anchorTimestamp: ohlcv[index].timestamp, anchorPrice, bars: result.bars };
+}
+
+// Anchors on the heaviest bar that traded through the heatmap's highest-volume node.
+function volumeNodeAnchor(ohlcv, liquidity) {
+  const node = (liquidity?.hotspots || []).reduce((best, item) => (!best || item.volume > best.volume ? item : best), null);
+  if (!node) return null;
+  let index = -1;
+  ohlcv.forEach((c, i) => {
+    if (c.low <= node.high && c.high >= node.low && (index < 0 || c.volume > ohlcv[index].volume)) index = i;
+  });
+  return index >= 0 ? { index, price: node.center } : null;
+}
+
+function vwapLevels(ohlcv, liquidity, swingSpan = 3) {
+  const session = sessionVwap(ohlcv);
+  if (!session) return null;
+  const swingHigh = candlePivots(ohlcv, 'high', swingSpan).at(-1)?.index ?? -1;
+  const swingLow = candlePivots(ohlcv, 'low', swingSpan).at(-1)?.index ?? -1;
+  const node = volumeNodeAnchor(ohlcv, liquidity);
+  return {
+    session,
+    anchored: {
+      swingHigh: swingHigh >= 0 ? anchoredVwap(ohlcv, swingHigh, ohlcv[swingHigh].high) : null,
+      swingLow: swingLow >= 0 ? anchoredVwap(ohlcv, swingLow, ohlcv[swingLow].low) : null,
+      volumeNode: node ? anchoredVwap(ohlcv, node.index, node.price) : null,
+    },
+  };
+}
+
+// ── Series ──────────────────────────────────────────────────────────────────
+
+function seriesFrom(length, start, valueAt) {
+  return Array.from({ length }, (_, i) => (i < start ? null : valueAt(i)));
+}
+
+// Price-scaled columns keep ~6 significant digits of the latest close.
+function priceDecimals(price) {
+  if (!(price > 0)) return 2;
+  return Math.max(2, Math.min(10, Math.ceil(-Math.log10(price)) + 5));
+}
+
+/**
+ * Per-bar indicator history for charting, columnar: every array is aligned with `timestamps`
+ * (null until the indicator has enough history) and rounded to `decimals`.
+ */
+function indicatorSeries(ohlcv) {
+  const closes = ohlcv.map((c) => c.close);
+  const n = ohlcv.length;
+  const price = priceDecimals(closes[n - 1]);
+  const column = (values, digits) => values.map((value) => round(value, digits));
+  const bands = seriesFrom(n, 19, (i) => bollingerBands(closes.slice(i - 19, i + 1), 20, 2));
+  const macdValues = pushSeries(createMacd(), closes);
+  const rawK = seriesFrom(n, 13, (i) => {
+    const window = ohlcv.slice(i - 13, i + 1);
+    const highest = Math.max(...window.map((c) => c.high));
+    const lowest = Math.min(...window.map((c) => c.low));
+    return highest === lowest ? 50 : ((ohlcv[i].close - lowest) / (highest - lowest)) * 100;
+  });
+
+  return {
+    decimals: { price, macd: price + 2, oscillator: 2 },
+    timestamps: ohlcv.map((c) => c.timestamp),
+    candles: {
+      open: column(ohlcv.map((c) => c.open), price),
+      high: column(ohlcv.map((c) => c.high), price),
+      low: column(ohlcv.map((c) => c.low), price),
+      close: column(closes, price),
+      volume: column(ohlcv.map((c) => c.volume || 0), 2),
+    },
+    ema20: column(pushSeries(createEma(20), closes), price),
+    ema50: column(pushSeries(createEma(50), closes), price),
+    bollinger: {
+      upper: column(bands.map((b) => b?.upper ?? null), price),
+      middle: column(bands.map((b) => b?.middle ?? null), price),
+      lower: column(bands.map((b) => b?.lower ?? null), price),
+    },
+    rsi: column(rsiSeries(closes, 14), 2),
+    macd: {
+      line: column(macdValues.map((value) => value.line), price + 2),
+      signal: column(macdValues.map((value) => value.signal), price + 2),
+      histogram: column(macdValues.map((value) => value.histogram), price + 2),
+    },
+    stochastic: {
+      k: column(seriesFrom(n, 16, (i) => rawK[i]), 2),
+      d: column(seriesFrom(n, 16, (i) => avg(rawK.slice(i - 2, i + 1))), 2),
+    },
+    atr: column(pushSeries(createAtr(14), ohlcv), price),
+    adx: column(pushSeries(createAdx(14), ohlcv), 2),
+  };
+}
+
+// ── Registry ────────────────────────────────────────────────────────────────
+
+const REGISTRY = [];
+
+function formatTemplateValue(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? String(round(value, 2)) : '-';
+  return value == null ? '-' : String(value);
+}
+
+// Templates substitute `{value}` and, for object values, `{field}` (e.g. `{k}` on the stochastic).
+function formatReason(template, value, ctx) {
+  if (typeof template === 'function') return template(value, ctx);
+  return String(template || '').replace(/\{(\w+)\}/g, (_, key) => formatTemplateValue(key === 'value' ? value : value?.[key]));
+}
+
+// Declarative rules: { category, buy: { when, points, reason }, sell: { ... }, neutral }.
+function declarativeRule(rule) {
+  return (value, ctx) => {
+    for (const side of ['buy', 'sell']) {
+      const branch = rule[side];
+      if (!branch || !branch.when(value, ctx)) continue;
+      const points = typeof branch.points === 'function' ? branch.points(value, ctx) : branch.points;
+      return { side, points, reason: formatReason(branch.reason, value, ctx) };
+    }
+    return rule.neutral ? { reason: formatReason(rule.neutral, value, ctx) } : null;
+  };
+}
+
+function defaultFormat(value) {
+  if (typeof value === 'number') return round(value, 4);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, typeof item === 'number' ? round(item, 4) : item]));
+  }
+  return value ?? null;
+}
+
+/**
+ * definition: { id, params, lookback, compute(series, params), score, format, outputKey, usesVolume }.
+ * series is { ohlcv, closes, returns, liquidity, indicators } (liquidity: the buildLiquidityHeatmap result or null; indicators:
+ * the values of indicators registered earlier). score is either { category, evaluate(value, ctx) } returning
+ * effects, or the declarative buy/sell/neutral form. usesVolume: true skips scoring when ctx.volumeApproximate.
+ * Registering an existing id replaces it in place (the replacement counts as custom).
+ */
+function registerIndicator(definition) {
+  const id = String(definition?.id || '').trim();
+  if (!id) throw new Error('Indicator id is required');
+  if (typeof definition.compute !== 'function') throw new Error(`Indicator ${id} needs a compute function`);
+  const lookback = Number(definition.lookback);
+  if (!Number.isFinite(lookback) || lookback < 1) throw new Error(`Indicator ${id} needs a positive lookback`);
+
+  const rule = definition.score || null;
+  const entry = {
+    id,
+    params: { ...(definition.params || {}) },
+    lookback: Math.ceil(lookback),
+    compute: definition.compute,
+    score: rule
+      ? {
+        category: rule.category || 'technical',
+        evaluate: typeof rule.evaluate === 'function' ? rule.evaluate : declarativeRule(rule),
+      }
+      : null,
+    format: typeof definition.format === 'function' ? definition.format : defaultFormat,
+    outputKey: definition.outputKey || id,
+    usesVolume: Boolean(definition.usesVolume),
+    builtIn: false,
+  };
+  const index = REGISTRY.findIndex((item) => item.id === id);
+  if (index >= 0) REGISTRY[index] = entry;
+  else REGISTRY.push(entry);
+  return entry;
+}
+
+// Public description of the registry, in scoring order (served by /api/indicators).
+function listIndicators() {
+  return REGISTRY.map((item) => ({
+    id: item.id,
+    outputKey: item.outputKey,
+    params: { ...item.params },
+    lookback: item.lookback,
+    category: item.score?.category || null,
+    usesVolume: item.usesVolume,
+    builtIn: item.builtIn,
+  }));
+}
+
+function longestLookback() {
+  return Math.max(...REGISTRY.map((item) => item.lookback));
+}
+
+function findSkippedIndicators(candleCount) {
+  return REGISTRY
+    .filter((item) => candleCount < item.lookback)
+    .map((item) => ({ id: item.id, lookback: item.lookback, available: candleCount }));
+}
+
+// Records a throwing custom indicator in `failed` ({ id, stage, error }); built-in errors are bugs and propagate.
+function guardCustom(item, stage, failed, run, fallback) {
+  if (item.builtIn) return run();
+  try {
+    return run();
+  } catch (err) {
+    failed.push({ id: item.id, stage, error: String(err?.message || err) });
+    return fallback;
+  }
+}
+
+// A throwing custom indicator reports null (and lands in `failed`) instead of failing the whole signal.
+function computeIndicators(ohlcv, liquidity = null, failed = []) {
+  const closes = ohlcv.map((c) => c.close);
+  const returns = closes.slice(1).map((price, i) => {
+    const prev = closes[i];
+    return prev ? (price - prev) / prev : 0;
+  });
+  const values = {};
+  const series = { ohlcv, closes, returns, liquidity, indicators: values };
+  REGISTRY.forEach((item) => {
+    values[item.id] = guardCustom(item, 'compute', failed, () => item.compute(series, item.params) ?? null, null);
+  });
+  return values;
+}
+
+/**
+ * Effects from every scoring rule, in registration order. An effect is
+ * { side: 'buy'|'sell', points, reason } or a note { reason } that may also carry
+ * dampen (multiplies both scores), softPenalty or boostLeader (points for the leading side).
+ * ctx: { price, regime, trendBias, trendStrength, indicators, closes, ohlcv, volumeApproximate }.
+ * A throwing custom rule contributes nothing and is recorded in `failed`.
+ */
+function indicatorEffects(values, ctx, failed = []) {
+  const effects = [];
+  REGISTRY.forEach((item) => {
+    const value = values[item.id];
+    if (!item.score || value == null) return;
+    if (item.usesVolume && ctx.volumeApproximate) return;
+    const result = guardCustom(item, 'score', failed, () => item.score.evaluate(value, ctx), null);
+    (Array.isArray(result) ? result : [result])
+      .filter(Boolean)
+      .forEach((effect) => effects.push({ ...effect, category: effect.category || item.score.category }));
+  });
+  return effects;
+}
+
+function formatIndicators(values) {
+  return Object.fromEntries(REGISTRY.map((item) => {
+    const value = values[item.id];
+    return [item.outputKey, value == null ? null : item.format(value)];
+  }));
+}
+
+// ── Built-in Indicators ─────────────────────────────────────────────────────
+// Registered in scoring order: ADX scales the evidence gathered before it, volume boosts the leader.
+
+registerIndicator({
+  id: 'adx14',
+  params: { period: 14 },
+  lookback: 29,
+  compute: ({ ohlcv }, { period }) => adx(ohlcv, period),
+  format: (value) => round(value, 2),
+  score: {
+    category: 'trend',
+    evaluate: (value, { trendBias }) => {
+      if (value >= 28) {
+        if (trendBias > 0) return { side: 'buy', points: 1.0, reason: `ADX(${value.toFixed(1)}) confirms strong bullish trend strength` };
+        if (trendBias < 0) return { side: 'sell', points: 1.0, reason: `ADX(${value.toFixed(1)}) confirms strong bearish trend strength` };
+        return null;
+      }
+      if (value <= 17) {
+        return { reason: `ADX(${value.toFixed(1)}) low - trend conviction weak, breakout risk lower`, dampen: 0.95, softPenalty: 0.08 };
+      }
+      return null;
+    },
+  },
+});
+
+registerIndicator({
+  id: 'rsi',
+  params: { period: 14 },
+  lookback: 15,
+  compute: ({ closes }, { period }) => rsi(closes, period),
+  format: (value) => round(value, 2),
+  score: {
+    category: 'technical',
+    evaluate: (value, { regime }) => {
+      const label = `RSI(${value.toFixed(1)})`;
+      if (regime === 'uptrend') {
+        if (value < 38) return { side: 'buy', points: 1.6, reason: `${label} pullback in uptrend - dip-buy setup` };
+        if (value > 78) return { side: 'sell', points: 1.2, reason: `${label} extended in uptrend - exhaustion risk` };
+        return { reason: `${label} healthy for uptrend continuation` };
+      }
+      if (regime === 'downtrend') {
+        if (value > 62) return { side: 'sell', points: 1.6, reason: `${label} bounce in downtrend - sell-the-rally setup` };
+        if (value < 22) return { side: 'buy', points: 1.1, reason: `${label} deeply oversold - relief bounce possible` };
+        return { reason: `${label} neutral within downtrend` };
+      }
+      if (value < 30) return { side: 'buy', points: 1.8, reason: `${label} oversold in range - bullish mean reversion` };
+      if (value > 70) return { side: 'sell', points: 1.8, reason: `${label} overbought in range - bearish mean reversion` };
+      return { reason: `${label} neutral in ranging market` };
+    },
+  },
+});
+
+registerIndicator({
+  id: 'macd',
+  params: { fast: 12, slow: 26, signal: 9 },
+  lookback: 35,
+  // The previous bar's histogram comes from the same pass, before the last close is pushed.
+  compute: ({ closes }, params) => {
+    const indicator = createMacd(params.fast, params.slow, params.signal).seed(closes.slice(0, -1));
+    const prevHistogram = indicator.value().histogram;
+    const current = closes.length ? indicator.push(closes[closes.length - 1]) : indicator.value();
+    return { ...current, prevHistogram };
+  },
+  format: (value) => ({ line: round(value.line, 4), signal: round(value.signal, 4), histogram: round(value.histogram, 4) }),
+  score: {
+    category: 'technical',
+    evaluate: (value) => {
+      if (value.histogram === null) return null;
+      const histNow = value.histogram;
+      const histPrev = value.prevHistogram;
+      if (histNow > 0 && value.line > value.signal) {
+        if (histPrev !== null && histPrev <= 0) return { side: 'buy', points: 1.9, reason: 'MACD fresh bullish crossover - momentum shift upward' };
+        if (histPrev !== null && histNow > histPrev) return { side: 'buy', points: 1.4, reason: 'MACD bullish momentum is strengthening' };
+        return { side: 'buy', points: 1.1, reason: 'MACD remains bullish' };
+      }
+      if (histNow < 0 && value.line < value.signal) {
+        if (histPrev !== null && histPrev >= 0) return { side: 'sell', points: 1.9, reason: 'MACD fresh bearish crossover - momentum shift downward' };
+        if (histPrev !== null && histNow < histPrev) return { side: 'sell', points: 1.4, reason: 'MACD bearish momentum is strengthening' };
+        return { side: 'sell', points: 1.1, reason: 'MACD remains bearish' };
+      }
+      return null;
+    },
+  },
+});
+
+registerIndicator({
+  id: 'bollingerBands',
+  params: { period: 20, stdMultiplier: 2 },
+  lookback: 20,
+  compute: ({ closes }, { period, stdMultiplier }) => bollingerBands(closes, period, stdMultiplier),
+  format: (value) => ({ upper: round(value.upper, 2), middle: round(value.middle, 2), lower: round(value.lower, 2) }),
+  score: {
+    category: 'technical',
+    evaluate: (bb, { price, regime, indicators }) => {
+      if (bb.lower === null || bb.middle === null || bb.upper === null) return null;
+      const effects = [];
+      if (price <= bb.lower) {
+        effects.push({ side: 'buy', points: regime === 'downtrend' ? 0.8 : 1.4, reason: `Price touched lower Bollinger Band ($${bb.lower.toFixed(2)})` });
+      } else if (price >= bb.upper) {
+        effects.push({ side: 'sell', points: regime === 'uptrend' ? 0.8 : 1.4, reason: `Price touched upper Bollinger Band ($${bb.upper.toFixed(2)})` });
+      }
+      if (indicators.keltner?.squeeze) {
+        effects.push({ reason: 'Bollinger Bands inside Keltner Channels - volatility squeeze, breakout risk rising', dampen: 0.95, softPenalty: 0.08 });
+      }
+      return effects;
+    },
+  },
+});
+
+// Squeeze: the registered Bollinger Bands contracted inside the Keltner Channels.
+registerIndicator({
+  id: 'keltner',
+  params: { period: 20, atrPeriod: 10, multiplier: 2 },
+  lookback: 20,
+  compute: ({ ohlcv, indicators }, { period, atrPeriod, multiplier }) => {
+    const channels = keltnerChannels(ohlcv, period, atrPeriod, multiplier);
+    if (!channels) return null;
+    const bb = indicators.bollingerBands;
+    return { ...channels, squeeze: bb?.upper != null && bb.upper < channels.upper && bb.lower > channels.lower };
+  },
+  format: (value) => ({ upper: round(value.upper, 2), middle: round(value.middle, 2), lower: round(value.lower, 2), squeeze: value.squeeze }),
+  score: {
+    category: 'trend',
+    evaluate: (kc, { price }) => {
+      if (price > kc.upper) return { side: 'buy', points: 0.6, reason: `Price above upper Keltner Channel ($${kc.upper.toFixed(2)}) - trend expansion` };
+      if (price < kc.lower) return { side: 'sell', points: 0.6, reason: `Price below lower Keltner Channel ($${kc.lower.toFixed(2)}) - trend expansion` };
+      return null;
+    },
+  },
+});
+
+registerIndicator({
+  id: 'donchian',
+  params: { period: 20 },
+  lookback: 21,
+  compute: ({ ohlcv }, { period }) => donchianChannels(ohlcv, period),
+  format: (value) => ({ upper: round(value.upper, 2), middle: round(value.middle, 2), lower: round(value.lower, 2), breakout: value.breakout }),
+  score: {
+    category: 'trend',
+    evaluate: (dc) => {
+      if (dc.breakout === 'up') return { side: 'buy', points: 0.8, reason: `Donchian 20 breakout to a new high ($${dc.upper.toFixed(2)})` };
+      if (dc.breakout === 'down') return { side: 'sell', points: 0.8, reason: `Donchian 20 breakdown to a new low ($${dc.lower.toFixed(2)})` };
+      return null;
+    },
+  },
+});
+
+registerIndicator({
+  id: 'ichimoku',
+  params: { tenkan: 9, kijun: 26, spanB: 52, displacement: 26 },
+  lookback: 78,
+  compute: ({ ohlcv }, params) => ichimoku(ohlcv, params.tenkan, params.kijun, params.spanB, params.displacement),
+  format: (value) => ({
+    tenkan: round(value.tenkan, 2),
+    kijun: round(value.kijun, 2),
+    spanA: round(value.spanA, 2),
+    spanB: round(value.spanB, 2),
+    cloud: value.cloud,
+    tkCross: value.tkCross,
+    tkCrossBarsAgo: value.tkCrossBarsAgo,
+    chikou: value.chikou,
+  }),
+  score: {
+    category: 'trend',
+    evaluate: (ichi) => {
+      if (ichi.cloud === 'inside') return { reason: 'Price inside the Ichimoku cloud - no cloud trend edge' };
+      const side = ichi.cloud === 'above' ? 'buy' : 'sell';
+      const direction = side === 'buy' ? 'bullish' : 'bearish';
+      const parts = [`price ${ichi.cloud} cloud`];
+      let points = 0.5;
+      if (ichi.tkCross === direction) {
+        points += 0.3;
+        parts.push(`${direction} TK cross`);
+      } else if ((ichi.tenkan - ichi.kijun) * (side === 'buy' ? 1 : -1) > 0) {
+        points += 0.15;
+        parts.push(`tenkan ${side === 'buy' ? 'above' : 'below'} kijun`);
+      }
+      if (ichi.chikou === direction) {
+        points += 0.2;
+        parts.push('chikou confirms');
+      }
+      return { side, points, reason: `Ichimoku ${direction}: ${parts.join(', ')}` };
+    },
+  },
+});
+
+registerIndicator({
+  id: 'supertrend',
+  params: { period: 10, multiplier: 3 },
+  lookback: 30,
+  compute: ({ ohlcv }, { period, multiplier }) => supertrend(ohlcv, period, multiplier),
+  format: (value) => ({ value: round(value.value, 2), direction: value.direction, flippedBarsAgo: value.flippedBarsAgo }),
+  score: {
+    category: 'trend',
+    evaluate: (st) => {
+      const side = st.direction === 'up' ? 'buy' : 'sell';
+      const label = st.direction === 'up' ? 'bullish' : 'bearish';
+      if (st.flippedBarsAgo <= 2) return { side, points: 0.9, reason: `Supertrend flipped ${label} within ${st.flippedBarsAgo + 1} bar(s) (stop $${st.value.toFixed(2)})` };
+      return { side, points: 0.6, reason: `Supertrend ${label} (stop $${st.value.toFixed(2)})` };
+    },
+  },
+});
+
+registerIndicator({
+  id: 'ema20',
+  params: { period: 20 },
+  lookback: 20,
+  compute: ({ closes }, { period }) => ema(closes, period),
+  format: (value) => round(value, 2),
+});
+
+// Scores the EMA20/EMA50 structure.
+registerIndicator({
+  id: 'ema50',
+  params: { period: 50 },
+  lookback: 50,
+  compute: ({ closes }, { period }) => ema(closes, period),
+  format: (value) => round(value, 2),
+  score: {
+    category: 'trend',
+    evaluate: (ema50, { price, indicators }) => {
+      const { ema20 } = indicators;
+      if (ema20 == null) return null;
+      if (price > ema20 && ema20 > ema50) return { side: 'buy', points: 1.5, reason: 'Price above EMA20 > EMA50 - bullish structure intact' };
+      if (price < ema20 && ema20 < ema50) return { side: 'sell', points: 1.5, reason: 'Price below EMA20 < EMA50 - bearish structure intact' };
+      return { reason: 'EMA structure mixed - trend conviction reduced' };
+    },
+  },
+});
+
+registerIndicator({
+  id: 'sma200',
+  params: { period: 200 },
+  lookback: 200,
+  compute: ({ closes }, { period }) => sma(closes, period),
+  format: (value) => round(value, 2),
+  score: {
+    category: 'trend',
+    buy: { when: (value, { price }) => price > value, points: 0.7, reason: 'Price above SMA200 - long-term support' },
+    sell: { when: (value, { price }) => price <= value, points: 0.7, reason: 'Price below SMA200 - long-term pressure' },
+  },
+});
+
+registerIndicator({
+  id: 'ema20Slope',
+  params: { period: 20, lookback: 4 },
+  lookback: 26,
+  compute: ({ closes }, params) => emaSlope(closes, params.period, params.lookback),
+  format: (value) => round(value * 100, 2),
+  outputKey: 'ema20SlopePct',
+});
+
+// Scores EMA20/EMA50 slope alignment.
+registerIndicator({
+  id: 'ema50Slope',
+  params: { period: 50, lookback: 6 },
+  lookback: 58,
+  compute: ({ closes }, params) => emaSlope(closes, params.period, params.lookback),
+  format: (value) => round(value * 100, 2),
+  outputKey: 'ema50SlopePct',
+  score: {
+    category: 'trend',
+    evaluate: (ema50Slope, { indicators }) => {
+      const { ema20Slope } = indicators;
+      if (ema20Slope == null) return null;
+      const detail = `(20:${(ema20Slope * 100).toFixed(2)}%, 50:${(ema50Slope * 100).toFixed(2)}%)`;
+      if (ema20Slope > 0 && ema50Slope > 0) return { side: 'buy', points: 0.8, reason: `EMA slopes rising ${detail}` };
+      if (ema20Slope < 0 && ema50Slope < 0) return { side: 'sell', points: 0.8, reason: `EMA slopes falling ${detail}` };
+      return { reason: 'EMA slope disagreement - trend acceleration unclear' };
+    },
+  },
+});
+
+registerIndicator({
+  id: 'momentum3',
+  params: { period: 3 },
+  lookback: 4,
+  compute: ({ closes }, { period }) => momentum(closes, period),
+  format: (value) => round(value * 100, 2),
+});
+
+// Scores short vs medium momentum agreement.
+registerIndicator({
+  id: 'momentum10',
+  params: { period: 10 },
+  lookback: 11,
+  compute: ({ closes }, { period }) => momentum(closes, period),
+  format: (value) => round(value * 100, 2),
+  score: {
+    category: 'technical',
+    evaluate: (momentum10, { indicators }) => {
+      const { momentum3 } = indicators;
+      if (momentum3 == null) return null;
+      if (momentum3 > 0 && momentum10 > 0) return { side: 'buy', points: 1.1, reason: 'Short and medium momentum aligned upward' };
+      if (momentum3 < 0 && momentum10 < 0) return { side: 'sell', points: 1.1, reason: 'Short and medium momentum aligned downward' };
+      return { reason: 'Momentum mixed across windows - transition risk' };
+    },
+  },
+});
+
+registerIndicator({
+  id: 'stochastic',
+  params: { kPeriod: 14, dPeriod: 3 },
+  lookback: 17,
+  compute: ({ ohlcv }, { kPeriod, dPeriod }) => stochasticOscillator(ohlcv, kPeriod, dPeriod),
+  format: (value) => ({ k: round(value.k, 2), d: round(value.d, 2) }),
+  score: {
+    category: 'technical',
+    evaluate: (stochastic, { regime }) => {
+      const { k, d, prevK, prevD } = stochastic;
+      if (k == null || d == null) return null;
+      const bullCross = prevK != null && prevD != null && prevK <= prevD && k > d;
+      const bearCross = prevK != null && prevD != null && prevK >= prevD && k < d;
+      if (k <= 20 && bullCross) return { side: 'buy', points: 1.1, reason: `Stochastic bullish cross in oversold zone (K:${k.toFixed(1)} D:${d.toFixed(1)})` };
+      if (k >= 80 && bearCross) return { side: 'sell', points: 1.1, reason: `Stochastic bearish cross in overbought zone (K:${k.toFixed(1)} D:${d.toFixed(1)})` };
+      if (k < 15 && regime !== 'downtrend') return { side: 'buy', points: 0.5, reason: `Stochastic deeply oversold (K:${k.toFixed(1)})` };
+      if (k > 85 && regime !== 'uptrend') return { side: 'sell', points: 0.5, reason: `Stochastic deeply overbought (K:${k.toFixed(1)})` };
+      return null;
+    },
+  },
+});
+
+registerIndicator({
+  id: 'atr14',
+  params: { period: 14 },
+  lookback: 15,
+  compute: ({ ohlcv }, { period }) => atr(ohlcv, period),
+  format: (value) => round(value, 4),
+});
+
+registerIndicator({
+  id: 'volatility20',
+  params: { period: 20 },
+  lookback: 21,
+  compute: ({ returns }, { period }) => stdDev(returns.slice(-period)),
+  format: (value) => round(value * 100, 2),
+});
+
+// Volume confirms whichever side leads so far, and backs a strong ADX trend.
+registerIndicator({
+  id: 'volumeRatio',
+  usesVolume: true,
+  params: { period: 20 },
+  lookback: 20,
+  compute: ({ ohlcv }, { period }) => {
+    const latestVolume = ohlcv[ohlcv.length - 1]?.volume ?? 0;
+    const avgVolume = avg(ohlcv.slice(-period).map((c) => c.volume)) ?? 0;
+    return avgVolume > 0 ? latestVolume / avgVolume : null;
+  },
+  format: (value) => round(value, 2),
+  score: {
+    category: 'technical',
+    evaluate: (value, { indicators, trendBias }) => {
+      const effects = [];
+      if (value > 1.6) {
+        effects.push({ reason: `Volume spike (${value.toFixed(2)}x avg) - stronger move conviction`, boostLeader: 0.6 });
+      } else if (value < 0.75) {
+        effects.push({ reason: `Volume below average (${value.toFixed(2)}x) - weaker breakout quality`, dampen: 0.93, softPenalty: 0.1 });
+      }
+      if (indicators.adx14 != null && indicators.adx14 >= 25 && value >= 1.2) {
+        if (trendBias > 0) effects.push({ side: 'buy', points: 0.4, reason: 'Volume + ADX confirm bullish trend continuation', category: 'trend' });
+        if (trendBias < 0) effects.push({ side: 'sell', points: 0.4, reason: 'Volume + ADX confirm bearish trend continuation', category: 'trend' });
+      }
+      return effects;
+    },
+  },
+});
+
+registerIndicator({
+  id: 'obv',
+  usesVolume: true,
+  params: { slopePeriod: 10, divergencePeriod: 20 },
+  lookback: 21,
+  compute: ({ ohlcv, closes }, { slopePeriod, divergencePeriod }) => {
+    const series = obvSeries(ohlcv);
+    const slope = flowSlope(series, ohlcv, slopePeriod);
+    return {
+      value: series[series.length - 1] ?? null,
+      slope,
+      divergence: obvDivergence(closes, series, divergencePeriod, slope),
+    };
+  },
+  format: (value) => ({ value: round(value.value, 0), slope: round(value.slope, 2), divergence: value.divergence }),
+  score: {
+    category: 'technical',
+    evaluate: ({ slope, divergence }, { indicators }) => {
+      if (divergence === 'bearish') return { side: 'sell', points: 0.9, reason: 'Price at a 20-bar high on falling OBV - volume not confirming' };
+      if (divergence === 'bullish') return { side: 'buy', points: 0.9, reason: 'Price at a 20-bar low on rising OBV - selling volume drying up' };
+      const { momentum10 } = indicators;
+      if (slope == null || momentum10 == null) return null;
+      if (slope > 0.3 && momentum10 > 0) return { side: 'buy', points: 0.4, reason: `OBV rising with price (slope ${slope.toFixed(2)})` };
+      if (slope < -0.3 && momentum10 < 0) return { side: 'sell', points: 0.4, reason: `OBV falling with price (slope ${slope.toFixed(2)})` };
+      return null;
+    },
+  },
+});
+
+registerIndicator({
+  id: 'cmf',
+  usesVolume: true,
+  params: { period: 20 },
+  lookback: 20,
+  compute: ({ ohlcv }, { period }) => chaikinMoneyFlow(ohlcv, period),
+  format: (value) => round(value, 3),
+  score: {
+    category: 'technical',
+    buy: { when: (value) => value >= 0.1, points: 0.6, reason: 'Chaikin money flow {value} - accumulation' },
+    sell: { when: (value) => value <= -0.1, points: 0.6, reason: 'Chaikin money flow {value} - distribution' },
+  },
+});
+
+// Accumulation/distribution disagreeing with the 10-bar price move.
+registerIndicator({
+  id: 'adl',
+  usesVolume: true,
+  params: { slopePeriod: 10 },
+  lookback: 11,
+  compute: ({ ohlcv }, { slopePeriod }) => {
+    const series = adlSeries(ohlcv);
+    return { value: series[series.length - 1] ?? null, slope: flowSlope(series, ohlcv, slopePeriod) };
+  },
+  format: (value) => ({ value: round(value.value, 0), slope: round(value.slope, 2) }),
+  score: {
+    category: 'technical',
+    evaluate: ({ slope }, { indicators }) => {
+      const { momentum10 } = indicators;
+      if (slope == null || momentum10 == null) return null;
+      if (slope < -0.3 && momentum10 > 0) return { side: 'sell', points: 0.5, reason: `A/D line falling while price rises (slope ${slope.toFixed(2)}) - distribution` };
+      if (slope > 0.3 && momentum10 < 0) return { side: 'buy', points: 0.5, reason: `A/D line rising while price falls (slope ${slope.toFixed(2)}) - accumulation` };
+      return null;
+    },
+  },
+});
+
+const VWAP_LEVEL_LABELS = {
+  session: 'session VWAP',
+  swingHigh: 'swing-high AVWAP',
+  swingLow: 'swing-low AVWAP',
+  volumeNode: 'volume-node AVWAP',
+};
+
+function formatAnchoredVwap(item) {
+  if (!item) return null;
+  return {
+    vwap: round(item.vwap, 2),
+    anchorTimestamp: item.anchorTimestamp,
+    anchorPrice: round(item.anchorPrice, 2),
+    bars: item.bars,
+  };
+}
+
+// Session VWAP bands and anchored VWAPs act as support/resistance next to the heatmap zones.
+registerIndicator({
+  id: 'vwap',
+  params: { swingSpan: 3 },
+  lookback: 7,
+  compute: ({ ohlcv, liquidity }, { swingSpan }) => vwapLevels(ohlcv, liquidity, swingSpan),
+  format: ({ session, anchored }) => ({
+    session: {
+      vwap: round(session.vwap, 2),
+      upper1: round(session.upper1, 2),
+      lower1: round(session.lower1, 2),
+      upper2: round(session.upper2, 2),
+      lower2: round(session.lower2, 2),
+      start: new Date(session.start).toISOString(),
+      bars: session.bars,
+    },
+    anchored: {
+      swingHigh: formatAnchoredVwap(anchored.swingHigh),
+      swingLow: formatAnchoredVwap(anchored.swingLow),
+      volumeNode: formatAnchoredVwap(anchored.volumeNode),
+    },
+  }),
+  score: {
+    category: 'liquidity',
+    evaluate: ({ session, anchored }, { price, indicators }) => {
+      const atrPct = indicators.atr14 != null ? indicators.atr14 / price : 0.006;
+      const proximityLimit = Math.max(0.008, atrPct * 1.4);
+      const levels = [
+        { key: 'session', level: session.vwap },
+        ...Object.entries(anchored).map(([key, item]) => ({ key, level: item?.vwap })),
+      ].filter((item) => item.level != null);
+      const supports = levels
+        .filter((item) => item.level <= price && (price - item.level) / price <= proximityLimit)
+        .sort((a, b) => b.level - a.level);
+      const resistances = levels
+        .filter((item) => item.level >= price && (item.level - price) / price <= proximityLimit)
+        .sort((a, b) => a.level - b.level);
+      const names = (items) => items.map((item) => VWAP_LEVEL_LABELS[item.key]).join(' + ');
+      const effects = [];
+
+      if (supports.length) {
+        effects.push({
+          side: 'buy',
+          points: Math.min(1.0, 0.5 + 0.2 * (supports.length - 1)),
+          reason: `Holding above ${names(supports)} ($${supports[0].level.toFixed(2)})`,
+        });
+      }
+      if (resistances.length) {
+        effects.push({
+          side: 'sell',
+          points: Math.min(1.0, 0.5 + 0.2 * (resistances.length - 1)),
+          reason: `Capped below ${names(resistances)} ($${resistances[0].level.toFixed(2)})`,
+        });
+      }
+      // A single bar has no spread, so the bands only count once the session has some history.
+      if (session.bars >= 3 && session.upper2 > session.lower2) {
+        if (price <= session.lower2) effects.push({ side: 'buy', points: 0.6, reason: `Price stretched below session VWAP -2σ ($${session.lower2.toFixed(2)})` });
+        else if (price >= session.upper2) effects.push({ side: 'sell', points: 0.6, reason: `Price stretched above session VWAP +2σ ($${session.upper2.toFixed(2)})` });
+      }
+      return effects;
+    },
+  },
+});
+
+function formatDivergence(item) {
+  const formatPivot = (pivot) => ({ timestamp: pivot.timestamp, value: round(pivot.value, 4) });
+  return {
+    oscillator: item.oscillator,
+    kind: item.kind,
+    direction: item.direction,
+    strength: round(item.strength, 2),
+    bars: item.bars,
+    pivots: {
+      price: item.pivots.price.map(formatPivot),
+      oscillator: item.pivots.oscillator.map(formatPivot),
+    },
+  };
+}
+
+registerIndicator({
+  id: 'divergence',
+  params: { rsiPeriod: 14 },
+  lookback: 45,
+  compute: ({ ohlcv, closes }, { rsiPeriod }) => {
+    const histogram = macdHistogramSeries(closes);
+    // A full-strength MACD divergence moves the histogram by 1.5x its average size.
+    const histogramSize = avg(histogram.filter((v) => v != null).map(Math.abs));
+    const oscillators = [{ id: 'rsi', values: rsiSeries(closes, rsiPeriod), scale: 10 }];
+    if (histogramSize) oscillators.push({ id: 'macd', values: histogram, scale: histogramSize * 1.5 });
+    return detectDivergences(ohlcv, oscillators);
+  },
+  format: (value) => value.map(formatDivergence),
+  outputKey: 'divergences',
+  score: {
+    category: 'technical',
+    evaluate: (divergences) => divergences.map((item) => {
+      const base = item.kind === 'regular' ? 0.6 : 0.5;
+      const range = item.kind === 'regular' ? 0.8 : 0.6;
+      const label = item.oscillator === 'rsi' ? 'RSI' : 'MACD';
+      return {
+        side: item.direction === 'bullish' ? 'buy' : 'sell',
+        points: round(base + range * item.strength, 2),
+        reason: `${item.kind === 'regular' ? 'Regular' : 'Hidden'} ${item.direction} ${label} divergence over ${item.bars} bars (strength ${item.strength.toFixed(2)})`,
+      };
+    }),
+  },
+});
+
+const PATTERN_LABELS = {
+  bullish_engulfing: 'Bullish engulfing',
+  bearish_engulfing: 'Bearish engulfing',
+  hammer: 'Hammer',
+  shooting_star: 'Shooting star',
+  doji: 'Doji',
+  inside_bar: 'Inside bar',
+  outside_bar: 'Outside bar',
+  morning_star: 'Morning star',
+  evening_star: 'Evening star',
+  three_white_soldiers: 'Three white soldiers',
+  three_black_crows: 'Three black crows',
+};
+
+// The strongest pattern per side counts; neutral ones (doji, inside bar) lean with the zone they print at.
+registerIndicator({
+  id: 'candlePatterns',
+  params: { window: 5 },
+  lookback: 8,
+  compute: ({ ohlcv, liquidity }, { window }) => detectCandlePatterns(ohlcv, liquidity, window),
+  format: (value) => value.map((item) => ({ ...item, strength: round(item.strength, 2) })),
+  score: {
+    category: 'liquidity',
+    evaluate: (patterns) => {
+      const sideOf = (item) => {
+        if (item.direction === 'bullish') return 'buy';
+        if (item.direction === 'bearish') return 'sell';
+        if (item.location?.type === 'support') return 'buy';
+        if (item.location?.type === 'resistance') return 'sell';
+        return null;
+      };
+      const effects = [];
+      ['buy', 'sell'].forEach((side) => {
+        const best = patterns.find((item) => sideOf(item) === side);
+        if (!best) return;
+        const weight = best.direction === 'neutral' ? 0.5 : 1;
+        const where = best.location ? ` at ${best.location.type} ($${best.location.center})` : '';
+        const ago = best.barsAgo ? `, ${best.barsAgo} bar${best.barsAgo > 1 ? 's' : ''} ago` : '';
+        effects.push({
+          side,
+          points: round((0.4 + 0.8 * best.strength) * weight, 2),
+          reason: `${PATTERN_LABELS[best.pattern] || best.pattern}${where} (strength ${best.strength.toFixed(2)}${ago})`,
+        });
+      });
+      return effects;
+    },
+  },
+});
+
+// Everything registered so far shipped with this module; later registrations are custom.
+REGISTRY.forEach((item) => {
+  item.builtIn = true;
+});
+
+module.exports = {
+  registerIndicator,
+  listIndicators,
+  longestLookback,
+  findSkippedIndicators,
+  computeIndicators,
+  indicatorEffects,
+  formatIndicators,
+  indicatorSeries,
+  priceDecimals,
+};
@@ -0,0 +1,92 @@
+/**
+ * Market structure: swing points, BOS and CHoCH
+ *
+ * Swing highs/lows come from candle pivots and are labelled against the previous swing of the
+ * same kind (HH/LH, HL/LL). Walking the candles, a close through the latest confirmed swing is a
+ * break of structure (BOS) when it extends the current trend and a change of character (CHoCH)
+ * when it flips it. A pivot only counts once `span` candles have closed after it.
+ */
+const { candlePivots } = require('./pivots');
+
+const SWING_SPAN = 3;
+const REPORTED_SWINGS = 6;
+
+function labelSwings(ohlcv, span) {
+  const highs = candlePivots(ohlcv, 'high', span).map((pivot) => ({ ...pivot, type: 'high' }));
+  const lows = candlePivots(ohlcv, 'low', span).map((pivot) => ({ ...pivot, type: 'low' }));
+  const labelled = (list, up, down) => list.map((pivot, i) => ({
+    ...pivot,
+    label: i === 0 ? null : pivot.value > list[i - 1].value ? up : down,
+  }));
+  return [...labelled(highs, 'HH', 'LH'), ...labelled(lows, 'HL', 'LL')].sort((a, b) => a.index - b.index);
+}
+
+function classifyStructure(swings) {
+  const lastHigh = [...swings].reverse().find((swing) => swing.type === 'high' && swing.label);
+  const lastLow = [...swings].reverse().find((swing) => swing.type === 'low' && swing.label);
+  if (lastHigh?.label === 'HH' && lastLow?.label === 'HL') return 'bullish';
+  if (lastHigh?.label === 'LH' && lastLow?.label === 'LL') return 'bearish';
+  return 'ranging';
+}
+
+function findStructureEvents(ohlcv, swings, span) {
+  const events = [];
+  let trend = null;
+  let swingHigh = null;
+  let swingLow = null;
+  let next = 0;
+  for (let i = 0; i < ohlcv.length; i++) {
+    while (next < swings.length && swings[next].index + span <= i) {
+      const swing = swings[next];
+      if (swing.type === 'high') swingHigh = { ...swing, broken: false };
+      else swingLow = { ...swing, broken: false };
+      next += 1;
+    }
+    const close = ohlcv[i].close;
+    if (swingHigh && !swingHigh.broken && close > swingHigh.value) {
+      swingHigh.broken = true;
+      events.push({ type: trend === 'bearish' ? 'CHoCH' : 'BOS', direction: 'bullish', level: swingHigh.value, swingIndex: swingHigh.index, index: i });
+      trend = 'bullish';
+    } else if (swingLow && !swingLow.broken && close < swingLow.value) {
+      swingLow.broken = true;
+      events.push({ type: trend === 'bullish' ? 'CHoCH' : 'BOS', direction: 'bearish', level: swingLow.value, swingIndex: swingLow.index, index: i });
+      trend = 'bearish';
+    }
+  }
+  return { events, trend, swingHigh, swingLow };
+}
+
+/**
+ * Returns { structure, trend, swings, lastEvent, swingHigh, swingLow } or null without enough candles.
+ * structure is bullish (HH + HL), bearish (LH + LL) or ranging; trend is the side of the last BOS/CHoCH.
+ */
+function analyzeMarketStructure(ohlcv, span = SWING_SPAN) {
+  if (ohlcv.length < span * 2 + 1) return null;
+  const swings = labelSwings(ohlcv, span);
+  const { events, trend, swingHigh, swingLow } = findStructureEvents(ohlcv, swings, span);
+  const point = (swing) => (swing
+    ? { type: swing.type, label: swing.label, price: swing.value, timestamp: ohlcv[swing.index].timestamp, index: swing.index }
+    : null);
+  const last = events[events.length - 1];
+  return {
+    structure: classifyStructure(swings),
+    trend,
+    swings: swings.slice(-REPORTED_SWINGS).map(point),
+    lastEvent: last
+      ? {
+        type: last.type,
+        direction: last.direction,
+        level: last.level,
+        swingTimestamp: ohlcv[last.swingIndex].timestamp,
+        timestamp: ohlcv[last.index].timestamp,
+        barsAgo: ohlcv.length - 1 - last.index,
+      }
+      : null,
+    swingHigh: point(swingHigh),
+    swingLow: point(swingLow),
+  };
+}
+
+module.exports = {
+  analyzeMarketStructure,
+};
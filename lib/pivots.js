@@ -0,0 +1,38 @@
+/**
+ * Swing pivots
+ *
+ * A pivot high (low) is a value that beats `left` values before it and `right` values after it.
+ * Works on any numeric series (candle highs/lows, RSI, MACD histogram); null entries never pivot.
+ */
+
+/**
+ * Returns [{ index, value }] in ascending index order. Ties count against the later value,
+ * so a flat top or bottom pivots on its first touch.
+ */
+function findPivots(values, { type = 'high', left = 3, right = 3 } = {}) {
+  const pivots = [];
+  const beats = (candidate, other, before) => {
+    if (other == null) return true;
+    if (type === 'high') return before ? candidate > other : candidate >= other;
+    return before ? candidate < other : candidate <= other;
+  };
+  for (let i = left; i < values.length - right; i++) {
+    const value = values[i];
+    if (value == null || !Number.isFinite(value)) continue;
+    let isPivot = true;
+    for (let j = i - left; j <= i + right && isPivot; j++) {
+      if (j !== i && !beats(value, values[j], j < i)) isPivot = false;
+    }
+    if (isPivot) pivots.push({ index: i, value });
+  }
+  return pivots;
+}
+
+function candlePivots(ohlcv, type, span = 3) {
+  return findPivots(ohlcv.map((c) => (type === 'high' ? c.high : c.low)), { type, left: span, right: span });
+}
+
+module.exports = {
+  findPivots,
+  candlePivots,
+};
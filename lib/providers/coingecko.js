@@ -0,0 +1,340 @@
+/**
+ * CoinGecko market-data provider
+ */
+const CoinGeckoSDK = require('@coingecko/coingecko-typescript');
+const {
+  DAY_MS,
+  candlesFromOhlc,
+  candlesFromPricePoints,
+  attachVolumes,
+  summarizeProvenance,
+} = require('../candles');
+const { timeframeMs, resampleCandles, overlayCandles } = require('../resample');
+const { scheduleRequest } = require('../requestScheduler');
+const { memoize, findMemoized } = require('../dataContext');
+
+const COINGECKO_API_KEY = process.env.COINGECKO_API_KEY || process.env.CG_API_KEY || process.env.NEXT_PUBLIC_COINGECKO_API_KEY || '';
+const COINGECKO_DEMO_API_KEY = process.env.COINGECKO_DEMO_API_KEY || '';
+const COINGECKO_PRO_API_KEY = process.env.COINGECKO_PRO_API_KEY || '';
+const COINGECKO_API_ENV = String(process.env.COINGECKO_API_ENV || 'auto').toLowerCase();
+const EXPLICIT_CG_ENV = COINGECKO_API_ENV === 'pro' || COINGECKO_API_ENV === 'demo';
+const HAS_CG_KEY = Boolean(COINGECKO_API_KEY || COINGECKO_DEMO_API_KEY || COINGECKO_PRO_API_KEY);
+// Pinning interval=5m on market-chart ranges is Enterprise-only; other paid plans may pin hourly/daily.
+const COINGECKO_ENTERPRISE = String(process.env.COINGECKO_ENTERPRISE || '').toLowerCase() === 'true';
+// Calls per minute by plan: keyless public access, Demo (30/min) and the entry paid tier.
+const RATE_LIMIT_PLANS = {
+  public: { perMinute: 10 },
+  demo: { perMinute: 30 },
+  pro: { perMinute: 500 },
+};
+// CoinGecko auto granularity: marketChart days=1 -> 5m points, 2-90 -> hourly, >90 -> daily;
+// ohlc days 1-2 -> 30m bars, 3-30 -> 4h bars, 31+ -> 4d bars (too coarse for any timeframe here).
+// The chart window widens with the history requirement but never past the granularity it relies on;
+// past that, only plans allowed to pin pageInterval can page further back.
+const CANDLE_SOURCE_PLAN = {
+  '15m': { minChartDays: 1, maxChartDays: 1, ohlcDays: null, pageInterval: '5m', pageWindowDays: 10 },
+  '1h': { minChartDays: 2, maxChartDays: 90, ohlcDays: '1' },
+  '4h': { minChartDays: 30, maxChartDays: 90, ohlcDays: '30' },
+  '1d': { minChartDays: 91, maxChartDays: 365, ohlcDays: null },
+};
+let coingeckoClient = null;
+let coingeckoClientEnv = null;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function sanitizeGeckoId(value) {
+  const id = String(value || '').trim();
+  return id || null;
+}
+
+function resolveInitialCoinGeckoEnvironment() {
+  if (COINGECKO_API_ENV === 'pro') return 'pro';
+  if (COINGECKO_API_ENV === 'demo') return 'demo';
+  if (COINGECKO_PRO_API_KEY && !COINGECKO_DEMO_API_KEY) return 'pro';
+  if (COINGECKO_DEMO_API_KEY && !COINGECKO_PRO_API_KEY) return 'demo';
+  if (COINGECKO_API_KEY) return 'demo';
+  return 'demo';
+}
+
+function buildCoinGeckoClient(environment) {
+  const sharedKey = COINGECKO_API_KEY;
+  const proKey = COINGECKO_PRO_API_KEY || (environment === 'pro' ? sharedKey : '');
+  const demoKey = COINGECKO_DEMO_API_KEY || (environment === 'demo' ? sharedKey : '');
+  const options = {
+    environment,
+    proAPIKey: proKey || null,
+    demoAPIKey: demoKey || null,
+    timeout: 10000,
+    // Retries go through the scheduler so every attempt is charged to the rate budget.
+    maxRetries: 0,
+  };
+
+  if (!proKey && !demoKey) {
+    // Allow unauthenticated public access mode when env keys are not available.
+    options.defaultHeaders = {
+      'x-cg-demo-api-key': null,
+      'x-cg-pro-api-key': null,
+    };
+  }
+
+  coingeckoClientEnv = environment;
+  coingeckoClient = new CoinGeckoSDK(options);
+  return coingeckoClient;
+}
+
+function getCoinGeckoClient(forceEnv = null) {
+  if (forceEnv) {
+    return buildCoinGeckoClient(forceEnv);
+  }
+  if (coingeckoClient) return coingeckoClient;
+  const initialEnv = resolveInitialCoinGeckoEnvironment();
+  return buildCoinGeckoClient(initialEnv);
+}
+
+function shouldRetryWithAlternateEnv(err) {
+  if (EXPLICIT_CG_ENV) return false;
+  if (!HAS_CG_KEY) return false;
+  const status = Number(err?.status);
+  if (![400, 401, 403].includes(status)) return false;
+  const message = String(err?.message || '').toLowerCase();
+  if (message.includes('change your root url')) return true;
+  if (message.includes('limited to pro api subscribers')) return true;
+  if (message.includes('invalid api key')) return true;
+  if (message.includes('authentication')) return true;
+  return false;
+}
+
+function rateLimitPlan(environment) {
+  const plan = HAS_CG_KEY ? environment : 'public';
+  const defaults = RATE_LIMIT_PLANS[plan] || RATE_LIMIT_PLANS.demo;
+  const perMinute = Number(process.env.COINGECKO_RATE_LIMIT_PER_MIN);
+  const burst = Number(process.env.COINGECKO_RATE_LIMIT_BURST);
+  return {
+    name: `coingecko:${plan}`,
+    perMinute: Number.isFinite(perMinute) && perMinute > 0 ? perMinute : defaults.perMinute,
+    burst: Number.isFinite(burst) && burst > 0 ? burst : undefined,
+  };
+}
+
+function scheduleCoinGeckoRequest(client, executor, priority) {
+  const plan = rateLimitPlan(coingeckoClientEnv);
+  return scheduleRequest(plan.name, plan, () => executor(client), { priority });
+}
+
+// priority: critical (candles, spot) | normal (coin context, markets, search) | low (trending, global)
+async function runCoinGeckoRequest(executor, priority = 'normal') {
+  try {
+    return await scheduleCoinGeckoRequest(getCoinGeckoClient(), executor, priority);
+  } catch (err) {
+    if (!shouldRetryWithAlternateEnv(err)) throw err;
+    const nextEnv = coingeckoClientEnv === 'pro' ? 'demo' : 'pro';
+    return scheduleCoinGeckoRequest(getCoinGeckoClient(nextEnv), executor, priority);
+  }
+}
+
+// Memoized per endpoint + params for the lifetime of the active data context (if any).
+function requestCoinGecko(endpoint, params, executor, priority = 'normal', meta = null) {
+  return memoize(`coingecko:${endpoint}:${JSON.stringify(params)}`, () => runCoinGeckoRequest(executor, priority), meta);
+}
+
+async function fetchSpotPrice(geckoId) {
+  const safeId = sanitizeGeckoId(geckoId);
+  if (!safeId) return null;
+  const params = {
+    ids: safeId,
+    vs_currencies: 'usd',
+    include_last_updated_at: true,
+    include_24hr_change: true,
+    include_24hr_vol: true,
+    include_market_cap: true,
+  };
+  const price = await requestCoinGecko('simple.price', params, (client) => client.simple.price.get(params), 'critical');
+  return Number(price?.[safeId]?.usd ?? null);
+}
+
+async function fetchChartRangePages(geckoId, days, interval, windowDays) {
+  const nowSec = Math.floor(Date.now() / 1000);
+  const windowSec = windowDays * 24 * 60 * 60;
+  const windows = [];
+  for (let to = nowSec; to > nowSec - days * 24 * 60 * 60; to -= windowSec) {
+    windows.push({ from: Math.max(nowSec - days * 24 * 60 * 60, to - windowSec), to });
+  }
+  const pages = await Promise.all(windows.map((range) => {
+    const params = {
+      vs_currency: 'usd',
+      from: String(range.from),
+      to: String(range.to),
+      interval,
+    };
+    return requestCoinGecko(`coins.marketChart.getRange:${geckoId}`, params, (client) => client.coins.marketChart.getRange(geckoId, params), 'critical');
+  }));
+  return {
+    prices: pages.flatMap((page) => (Array.isArray(page?.prices) ? page.prices : [])),
+    total_volumes: pages.flatMap((page) => (Array.isArray(page?.total_volumes) ? page.total_volumes : [])),
+  };
+}
+
+function chartGranularity(days) {
+  if (days <= 1) return '5m';
+  return days <= 90 ? 'hourly' : 'daily';
+}
+
+function sliceMarketChart(data, days) {
+  const prices = Array.isArray(data?.prices) ? data.prices : [];
+  if (!prices.length) return data;
+  const from = Number(prices[prices.length - 1]?.[0]) - days * DAY_MS;
+  const slice = (rows) => (Array.isArray(rows) ? rows.filter((row) => Number(row?.[0]) >= from) : rows);
+  return {
+    ...data,
+    prices: slice(data.prices),
+    market_caps: slice(data.market_caps),
+    total_volumes: slice(data.total_volumes),
+  };
+}
+
+async function fetchMarketChart(geckoId, days, priority = 'normal') {
+  const wanted = Number(days);
+  // A longer window already requested in this context has the same granularity, so trim it instead of refetching.
+  const broader = findMemoized((meta) => meta.chart && meta.geckoId === geckoId
+    && meta.days >= wanted && chartGranularity(meta.days) === chartGranularity(wanted));
+  if (broader) {
+    try {
+      return sliceMarketChart(await broader, wanted);
+    } catch {}
+  }
+  const params = { vs_currency: 'usd', days: String(days) };
+  return requestCoinGecko(
+    `coins.marketChart.get:${geckoId}`,
+    params,
+    (client) => client.coins.marketChart.get(geckoId, params),
+    priority,
+    { chart: true, geckoId, days: wanted },
+  );
+}
+
+function canPageChart(plan) {
+  if (!plan.pageInterval) return false;
+  getCoinGeckoClient();
+  return coingeckoClientEnv === 'pro' && (plan.pageInterval !== '5m' || COINGECKO_ENTERPRISE);
+}
+
+async function fetchChartHistory(geckoId, plan, neededDays) {
+  if (neededDays > plan.maxChartDays && canPageChart(plan)) {
+    return fetchChartRangePages(geckoId, neededDays, plan.pageInterval, plan.pageWindowDays);
+  }
+  return fetchMarketChart(geckoId, clamp(neededDays, plan.minChartDays, plan.maxChartDays), 'critical');
+}
+
+async function fetchCandles(geckoId, timeframe, limit = 120) {
+  const plan = CANDLE_SOURCE_PLAN[timeframe] || CANDLE_SOURCE_PLAN['4h'];
+  const intervalMs = timeframeMs(timeframe) || timeframeMs('4h');
+  const neededDays = Math.ceil(((limit + 1) * intervalMs) / DAY_MS) + 1;
+  const [chartResult, ohlcResult] = await Promise.allSettled([
+    fetchChartHistory(geckoId, plan, neededDays),
+    plan.ohlcDays
+      ? requestCoinGecko(
+        `coins.ohlc.get:${geckoId}`,
+        { vs_currency: 'usd', days: plan.ohlcDays },
+        (client) => client.coins.ohlc.get(geckoId, { vs_currency: 'usd', days: plan.ohlcDays }),
+        'critical',
+      )
+      : Promise.resolve([]),
+  ]);
+
+  const data = chartResult.status === 'fulfilled' ? chartResult.value : null;
+  const pricesRaw = Array.isArray(data?.prices) ? data.prices : [];
+  const volumesRaw = Array.isArray(data?.total_volumes) ? data.total_volumes : [];
+  const pointCandles = candlesFromPricePoints(pricesRaw);
+  attachVolumes(pointCandles, volumesRaw);
+  const chartSeries = resampleCandles(pointCandles, timeframe);
+  const ohlcSeries = ohlcResult.status === 'fulfilled'
+    ? resampleCandles(candlesFromOhlc(ohlcResult.value), timeframe)
+    : [];
+  const usableOhlc = ohlcSeries.resample && !ohlcSeries.resample.coarserSource ? ohlcSeries : [];
+
+  const series = chartSeries.length ? overlayCandles(chartSeries, usableOhlc) : usableOhlc;
+  if (!series.length) {
+    throw new Error(`CoinGecko candles unavailable for ${geckoId}`);
+  }
+  const candles = series.slice(-limit);
+  // Short of the plan's reach, the real candles are still served; the long lookbacks show up as skipped.
+  if (candles.length < limit && neededDays > plan.maxChartDays && !canPageChart(plan)) {
+    candles.historyCap = {
+      bars: candles.length,
+      requested: limit,
+      maxChartDays: plan.maxChartDays,
+      reason: `CoinGecko serves ${plan.maxChartDays} day(s) of ${timeframe} history on this plan (COINGECKO_ENTERPRISE=true pages further on an Enterprise key)`,
+    };
+  }
+
+  try {
+    const spotPrice = await fetchSpotPrice(geckoId);
+    const last = candles[candles.length - 1];
+    if (Number.isFinite(spotPrice) && last?.partial) {
+      last.close = spotPrice;
+      last.high = Math.max(last.high, spotPrice);
+      last.low = Math.min(last.low, spotPrice);
+    }
+  } catch {}
+
+  candles.dataSource = candles.some((c) => c.provenance === 'ohlc') ? 'coingecko_ohlc' : 'coingecko_proxy';
+  candles.resample = series.resample;
+  candles.provenance = summarizeProvenance(candles);
+  return candles;
+}
+
+async function fetchCoinContext(geckoId, options = {}) {
+  const params = {
+    localization: false,
+    tickers: Boolean(options.tickers),
+    market_data: true,
+    community_data: Boolean(options.communityData),
+    developer_data: Boolean(options.developerData),
+    sparkline: false,
+  };
+  return requestCoinGecko(`coins.getID:${geckoId}`, params, (client) => client.coins.getID(geckoId, params));
+}
+
+async function fetchContractCoin(platform, address) {
+  const params = { id: platform };
+  return requestCoinGecko(`coins.contract.get:${address}`, params, (client) => client.coins.contract.get(address, params));
+}
+
+async function fetchMarkets(symbols) {
+  const params = {
+    vs_currency: 'usd',
+    symbols,
+    include_tokens: 'all',
+    order: 'market_cap_desc',
+    per_page: 50,
+    page: 1,
+  };
+  return requestCoinGecko('coins.markets', params, (client) => client.coins.markets.get(params));
+}
+
+async function searchCoins(query) {
+  return requestCoinGecko('search', { query }, (client) => client.search.get({ query }));
+}
+
+async function fetchTrending() {
+  return requestCoinGecko('search.trending', {}, (client) => client.search.trending.get(), 'low');
+}
+
+async function fetchGlobal() {
+  return requestCoinGecko('global', {}, (client) => client.global.get(), 'low');
+}
+
+module.exports = {
+  name: 'coingecko',
+  fetchCandles,
+  fetchMarketChart,
+  fetchSpotPrice,
+  fetchCoinContext,
+  fetchContractCoin,
+  fetchMarkets,
+  searchCoins,
+  fetchTrending,
+  fetchGlobal,
+};
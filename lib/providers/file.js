@@ -0,0 +1,234 @@
+/**
+ * Offline market-data provider backed by recorded CSV/JSON datasets
+ *
+ * Layout under MARKET_DATA_DIR (default ./data/market):
+ *   candles/<geckoId>.<timeframe>.csv|json  candles already at a timeframe (preferred)
+ *   candles/<geckoId>.csv|json              finest recorded series, resampled on read
+ *   market_chart/<geckoId>.json             optional recorded /market_chart payload
+ *   coins/<geckoId>.json                    recorded /coins/{id} payload
+ *   coins.json                              recorded /coins/markets rows (search + symbol lookup);
+ *                                           rows may carry a /coins/list `platforms` map for contract lookup
+ *   trending.json, global.json              recorded /search/trending and /global payloads
+ */
+const fs = require('fs');
+const path = require('path');
+const { DAY_MS, medianInterval, summarizeProvenance } = require('../candles');
+const { resampleCandles } = require('../resample');
+
+const MARKET_DATA_DIR = path.resolve(process.cwd(), process.env.MARKET_DATA_DIR || 'data/market');
+const CANDLE_STAMP = String(process.env.MARKET_DATA_CANDLE_STAMP || 'open').toLowerCase() === 'close' ? 'close' : 'open';
+const fileCache = new Map();
+
+function toNumber(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseTimestamp(raw) {
+  const numeric = toNumber(raw);
+  if (numeric != null) return numeric < 1e12 ? numeric * 1000 : numeric;
+  const parsed = Date.parse(String(raw || ''));
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+async function readFileCached(filePath) {
+  if (fileCache.has(filePath)) return fileCache.get(filePath);
+  let content = null;
+  try {
+    content = await fs.promises.readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err?.code !== 'ENOENT') throw err;
+  }
+  fileCache.set(filePath, content);
+  return content;
+}
+
+async function readJson(relativePath) {
+  const content = await readFileCached(path.join(MARKET_DATA_DIR, relativePath));
+  if (content == null) return null;
+  return JSON.parse(content);
+}
+
+function parseCsvCandles(content) {
+  const lines = content.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+  if (lines.length < 2) return [];
+  const header = lines[0].split(',').map((col) => col.trim().toLowerCase());
+  const col = (names) => header.findIndex((name) => names.includes(name));
+  const idx = {
+    timestamp: col(['timestamp', 'time', 'date', 'open_time']),
+    open: col(['open', 'o']),
+    high: col(['high', 'h']),
+    low: col(['low', 'l']),
+    close: col(['close', 'c']),
+    volume: col(['volume', 'v', 'volume_usd']),
+  };
+  if (idx.timestamp < 0 || idx.close < 0) {
+    throw new Error('Candle CSV needs at least timestamp and close columns');
+  }
+  return lines.slice(1).map((line) => {
+    const cells = line.split(',');
+    const close = toNumber(cells[idx.close]);
+    return {
+      timestamp: parseTimestamp(cells[idx.timestamp]),
+      open: idx.open >= 0 ? toNumber(cells[idx.open]) : close,
+      high: idx.high >= 0 ? toNumber(cells[idx.high]) : close,
+      low: idx.low >= 0 ? toNumber(cells[idx.low]) : close,
+      close,
+      volume: idx.volume >= 0 ? toNumber(cells[idx.volume]) ?? 0 : 0,
+    };
+  });
+}
+
+function parseJsonCandles(content) {
+  const raw = JSON.parse(content);
+  const rows = Array.isArray(raw) ? raw : (Array.isArray(raw?.candles) ? raw.candles : []);
+  return rows.map((row) => (Array.isArray(row)
+    ? {
+      timestamp: parseTimestamp(row[0]),
+      open: toNumber(row[1]),
+      high: toNumber(row[2]),
+      low: toNumber(row[3]),
+      close: toNumber(row[4]),
+      volume: toNumber(row[5]) ?? 0,
+    }
+    : {
+      timestamp: parseTimestamp(row?.timestamp ?? row?.time ?? row?.date),
+      open: toNumber(row?.open),
+      high: toNumber(row?.high),
+      low: toNumber(row?.low),
+      close: toNumber(row?.close),
+      volume: toNumber(row?.volume) ?? 0,
+    }));
+}
+
+async function readCandleFile(baseName) {
+  for (const ext of ['csv', 'json']) {
+    const content = await readFileCached(path.join(MARKET_DATA_DIR, 'candles', `${baseName}.${ext}`));
+    if (content == null) continue;
+    const rows = ext === 'csv' ? parseCsvCandles(content) : parseJsonCandles(content);
+    return rows
+      .filter((c) => c.timestamp != null && c.open != null && c.high != null && c.low != null && c.close != null)
+      .map((c) => ({
+        ...c,
+        high: Math.max(c.high, c.open, c.close),
+        low: Math.min(c.low, c.open, c.close),
+        provenance: 'file',
+        volumeSource: c.volume > 0 ? 'file' : 'none',
+      }))
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+  return null;
+}
+
+async function fetchCandles(geckoId, timeframe, limit = 120) {
+  const exact = await readCandleFile(`${geckoId}.${timeframe}`);
+  const source = exact || await readCandleFile(geckoId);
+  if (!source || !source.length) {
+    throw new Error(`No recorded candles for ${geckoId}`);
+  }
+  const series = resampleCandles(source, timeframe, { stamp: CANDLE_STAMP });
+  const candles = series.slice(-limit);
+  candles.dataSource = 'file';
+  candles.resample = series.resample;
+  candles.provenance = summarizeProvenance(candles);
+  return candles;
+}
+
+async function fetchMarketChart(geckoId, days) {
+  const recorded = await readJson(path.join('market_chart', `${geckoId}.json`));
+  if (recorded) return recorded;
+  const candles = await readCandleFile(geckoId);
+  if (!candles || !candles.length) {
+    throw new Error(`No recorded market chart for ${geckoId}`);
+  }
+  const from = candles[candles.length - 1].timestamp - Number(days) * DAY_MS;
+  const window = candles.filter((c) => c.timestamp >= from);
+  // Market-chart volumes are rolling 24h figures, so scale per-candle volume back up.
+  const scale = DAY_MS / (medianInterval(window.map((c) => c.timestamp)) || DAY_MS);
+  return {
+    prices: window.map((c) => [c.timestamp, c.close]),
+    total_volumes: window.map((c) => [c.timestamp, c.volume * scale]),
+  };
+}
+
+async function readCoinRows() {
+  const rows = await readJson('coins.json');
+  return Array.isArray(rows) ? rows : [];
+}
+
+async function fetchSpotPrice(geckoId) {
+  const row = (await readCoinRows()).find((coin) => coin?.id === geckoId);
+  const listed = toNumber(row?.current_price);
+  if (listed != null && listed > 0) return listed;
+  const candles = await readCandleFile(geckoId);
+  return candles && candles.length ? candles[candles.length - 1].close : null;
+}
+
+async function fetchCoinContext(geckoId) {
+  const coin = await readJson(path.join('coins', `${geckoId}.json`));
+  if (!coin) throw new Error(`No recorded coin context for ${geckoId}`);
+  return coin;
+}
+
+async function fetchContractCoin(platform, address) {
+  const wanted = String(address || '').toLowerCase();
+  const row = (await readCoinRows())
+    .find((coin) => String(coin?.platforms?.[platform] || '').toLowerCase() === wanted);
+  if (!row) {
+    const err = new Error(`No recorded coin for ${platform}:${address}`);
+    err.status = 404;
+    throw err;
+  }
+  const recorded = await readJson(path.join('coins', `${row.id}.json`));
+  return {
+    ...(recorded || {}),
+    id: row.id,
+    symbol: row.symbol,
+    name: row.name,
+    platforms: row.platforms,
+    market_cap_rank: row.market_cap_rank ?? recorded?.market_cap_rank ?? null,
+    image: recorded?.image || { thumb: row.thumb || row.image || '' },
+  };
+}
+
+async function fetchMarkets(symbols) {
+  const wanted = String(symbols || '').toLowerCase().split(',').map((s) => s.trim()).filter(Boolean);
+  return (await readCoinRows())
+    .filter((coin) => wanted.includes(String(coin?.symbol || '').toLowerCase()))
+    .sort((a, b) => (a.market_cap_rank ?? Number.MAX_SAFE_INTEGER) - (b.market_cap_rank ?? Number.MAX_SAFE_INTEGER));
+}
+
+async function searchCoins(query) {
+  const q = String(query || '').trim().toLowerCase();
+  const coins = (await readCoinRows())
+    .filter((coin) => [coin?.id, coin?.symbol, coin?.name].some((value) => String(value || '').toLowerCase().includes(q)))
+    .map((coin) => ({
+      id: coin.id,
+      name: coin.name,
+      symbol: coin.symbol,
+      market_cap_rank: coin.market_cap_rank ?? null,
+      thumb: coin.thumb || coin.image || '',
+    }));
+  return { coins };
+}
+
+async function fetchTrending() {
+  return (await readJson('trending.json')) || { coins: [] };
+}
+
+async function fetchGlobal() {
+  return (await readJson('global.json')) || { data: null };
+}
+
+module.exports = {
+  name: 'file',
+  fetchCandles,
+  fetchMarketChart,
+  fetchSpotPrice,
+  fetchCoinContext,
+  fetchContractCoin,
+  fetchMarkets,
+  searchCoins,
+  fetchTrending,
+  fetchGlobal,
+};
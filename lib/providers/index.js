@@ -0,0 +1,49 @@
+/**
+ * Market-data provider registry
+ *
+ * A provider exposes: fetchCandles, fetchMarketChart, fetchSpotPrice, fetchCoinContext,
+ * fetchContractCoin, fetchMarkets, searchCoins, fetchTrending and fetchGlobal. Payloads other than candles
+ * keep the CoinGecko response shapes so recorded datasets can be replayed as-is.
+ */
+const coingecko = require('./coingecko');
+const file = require('./file');
+
+const PROVIDER_METHODS = [
+  'fetchCandles',
+  'fetchMarketChart',
+  'fetchSpotPrice',
+  'fetchCoinContext',
+  'fetchContractCoin',
+  'fetchMarkets',
+  'searchCoins',
+  'fetchTrending',
+  'fetchGlobal',
+];
+const providers = new Map([
+  [coingecko.name, coingecko],
+  [file.name, file],
+]);
+const MARKET_DATA_PROVIDER = String(process.env.MARKET_DATA_PROVIDER || 'coingecko').toLowerCase();
+
+function registerMarketDataProvider(provider) {
+  const missing = PROVIDER_METHODS.filter((method) => typeof provider?.[method] !== 'function');
+  if (!provider?.name || missing.length) {
+    throw new Error(`Invalid market data provider: missing ${missing.join(', ') || 'name'}`);
+  }
+  providers.set(String(provider.name).toLowerCase(), provider);
+  return provider;
+}
+
+function getMarketDataProvider(name = null) {
+  const key = String(name || MARKET_DATA_PROVIDER).toLowerCase();
+  const provider = providers.get(key);
+  if (!provider) {
+    throw new Error(`Unknown market data provider: ${key}`);
+  }
+  return provider;
+}
+
+module.exports = {
+  registerMarketDataProvider,
+  getMarketDataProvider,
+};
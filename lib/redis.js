@@ -0,0 +1,15 @@
+/**
+ * Shared Upstash Redis client (null when UPSTASH_REDIS_REST_URL/TOKEN are not configured)
+ */
+const { Redis } = require('@upstash/redis');
+
+const redis = process.env.UPSTASH_REDIS_REST_URL && process.env.UPSTASH_REDIS_REST_TOKEN
+  ? new Redis({
+    url: process.env.UPSTASH_REDIS_REST_URL,
+    token: process.env.UPSTASH_REDIS_REST_TOKEN,
+  })
+  : null;
+
+module.exports = {
+  redis,
+};
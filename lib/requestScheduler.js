@@ -0,0 +1,284 @@
+/**
+ * Upstream request scheduler
+ *
+ * One token bucket per named budget (e.g. `coingecko:demo`). Requests queue by priority,
+ * 429 responses pause the whole bucket for the upstream Retry-After, and when Upstash is
+ * configured every instance also draws from a shared per-minute window.
+ */
+const { redis: sharedRedis } = require('./redis');
+
+const PRIORITIES = { critical: 0, normal: 1, low: 2 };
+const SHARED_KEY_PREFIX = 'request-budget:v1:';
+const MINUTE_MS = 60 * 1000;
+const buckets = new Map();
+const redis = String(process.env.REQUEST_BUDGET_SHARED || 'true').toLowerCase() !== 'false' ? sharedRedis : null;
+
+function readNumberEnv(name, fallback, min, max) {
+  const parsed = Number(process.env[name]);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.max(min, Math.min(max, parsed));
+}
+
+const QUEUE_TIMEOUT_MS = readNumberEnv('REQUEST_QUEUE_TIMEOUT_MS', 8000, 0, 60000);
+// Kept under the queue timeout so the retry after a bare 429 can still be granted a token.
+const DEFAULT_BACKOFF_MS = Math.min(
+  readNumberEnv('REQUEST_RATE_LIMIT_BACKOFF_MS', 5000, 1000, 5 * MINUTE_MS),
+  Math.max(1000, QUEUE_TIMEOUT_MS - 1000),
+);
+const MAX_RETRIES = Math.round(readNumberEnv('REQUEST_MAX_RETRIES', 2, 0, 5));
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function budgetError(bucket, message) {
+  const err = new Error(`${bucket.name} request budget exhausted: ${message}`);
+  err.status = 429;
+  err.code = 'REQUEST_BUDGET_EXHAUSTED';
+  return err;
+}
+
+function getBucket(name, config) {
+  let bucket = buckets.get(name);
+  if (!bucket) {
+    const perMinute = Math.max(1, Number(config?.perMinute) || 30);
+    const burst = Math.max(1, Math.min(perMinute, Number(config?.burst) || Math.ceil(perMinute / 4)));
+    bucket = {
+      name,
+      perMinute,
+      burst,
+      tokens: burst,
+      updatedAt: Date.now(),
+      pausedUntil: 0,
+      queue: [],
+      timer: null,
+      stats: {
+        requests: 0,
+        succeeded: 0,
+        failed: 0,
+        retries: 0,
+        queued: 0,
+        rejected: 0,
+        rateLimited: 0,
+        lastRetryAfterMs: null,
+        totalWaitMs: 0,
+        maxWaitMs: 0,
+        byPriority: { critical: 0, normal: 0, low: 0 },
+        shared: { windowCount: null, throttled: 0, errors: 0 },
+      },
+    };
+    buckets.set(name, bucket);
+  }
+  return bucket;
+}
+
+function refill(bucket, now) {
+  const elapsed = Math.max(0, now - bucket.updatedAt);
+  bucket.tokens = Math.min(bucket.burst, bucket.tokens + (elapsed * bucket.perMinute) / MINUTE_MS);
+  bucket.updatedAt = now;
+}
+
+// Grants tokens to the queue head in priority order and re-arms a timer for the next grant or deadline.
+function drain(bucket) {
+  if (bucket.timer) {
+    clearTimeout(bucket.timer);
+    bucket.timer = null;
+  }
+  const now = Date.now();
+  refill(bucket, now);
+
+  bucket.queue = bucket.queue.filter((entry) => {
+    if (entry.deadline > now) return true;
+    bucket.stats.rejected += 1;
+    entry.reject(budgetError(bucket, `queued ${now - entry.enqueuedAt}ms`));
+    return false;
+  });
+
+  while (bucket.queue.length && now >= bucket.pausedUntil && bucket.tokens >= 1) {
+    const entry = bucket.queue.shift();
+    bucket.tokens -= 1;
+    entry.resolve(now - entry.enqueuedAt);
+  }
+  if (!bucket.queue.length) return;
+
+  const tokenReadyAt = now + ((1 - bucket.tokens) * MINUTE_MS) / bucket.perMinute;
+  const nextGrantAt = Math.max(tokenReadyAt, bucket.pausedUntil);
+  const nextDeadline = Math.min(...bucket.queue.map((entry) => entry.deadline));
+  bucket.timer = setTimeout(() => drain(bucket), Math.max(1, Math.min(nextGrantAt, nextDeadline) - now));
+}
+
+function acquireLocal(bucket, priority, deadline) {
+  if (bucket.pausedUntil > deadline) {
+    bucket.stats.rejected += 1;
+    return Promise.reject(budgetError(bucket, `paused for ${bucket.pausedUntil - Date.now()}ms after upstream 429`));
+  }
+  return new Promise((resolve, reject) => {
+    const entry = {
+      priority,
+      enqueuedAt: Date.now(),
+      deadline,
+      resolve,
+      reject,
+    };
+    const index = bucket.queue.findIndex((queued) => queued.priority > priority);
+    if (index < 0) bucket.queue.push(entry);
+    else bucket.queue.splice(index, 0, entry);
+    drain(bucket);
+  });
+}
+
+// Fixed one-minute window shared through Upstash; returns how long to wait before retrying (0 = granted).
+// A refused reservation is given back, so a request holds at most one slot however long it waits.
+async function reserveShared(bucket) {
+  if (!redis) return 0;
+  const now = Date.now();
+  const window = Math.floor(now / MINUTE_MS);
+  const countKey = `${SHARED_KEY_PREFIX}${bucket.name}:${window}`;
+  const pauseKey = `${SHARED_KEY_PREFIX}${bucket.name}:paused-until`;
+  try {
+    const [count, , pausedUntil] = await redis.pipeline()
+      .incr(countKey)
+      .pexpire(countKey, 2 * MINUTE_MS)
+      .get(pauseKey)
+      .exec();
+    bucket.stats.shared.windowCount = Number(count) || null;
+    const sharedPause = Number(pausedUntil) || 0;
+    const waitMs = sharedPause > now
+      ? sharedPause - now
+      : Number(count) > bucket.perMinute ? (window + 1) * MINUTE_MS - now : 0;
+    if (!waitMs) return 0;
+    if (sharedPause > now) bucket.pausedUntil = Math.max(bucket.pausedUntil, sharedPause);
+    else bucket.stats.shared.throttled += 1;
+    await redis.decr(countKey).catch(() => {
+      bucket.stats.shared.errors += 1;
+    });
+    bucket.stats.shared.windowCount = Math.max(0, Number(count) - 1);
+    return waitMs;
+  } catch {
+    bucket.stats.shared.errors += 1;
+  }
+  return 0;
+}
+
+async function acquire(bucket, priority) {
+  const deadline = Date.now() + QUEUE_TIMEOUT_MS;
+  let waited = await acquireLocal(bucket, priority, deadline);
+  for (;;) {
+    const sharedWaitMs = await reserveShared(bucket);
+    if (!sharedWaitMs) break;
+    if (Date.now() + sharedWaitMs > deadline) {
+      bucket.stats.rejected += 1;
+      throw budgetError(bucket, `shared window full for another ${sharedWaitMs}ms`);
+    }
+    await sleep(sharedWaitMs);
+    waited += sharedWaitMs;
+  }
+  bucket.stats.totalWaitMs += waited;
+  bucket.stats.maxWaitMs = Math.max(bucket.stats.maxWaitMs, waited);
+  if (waited > 0) bucket.stats.queued += 1;
+}
+
+function readRetryAfterMs(err) {
+  const headers = err?.headers;
+  const raw = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (raw == null || raw === '') return null;
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(String(raw));
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+async function pauseBucket(bucket, ms) {
+  const until = Date.now() + ms;
+  bucket.pausedUntil = Math.max(bucket.pausedUntil, until);
+  if (!redis) return;
+  try {
+    await redis.set(`${SHARED_KEY_PREFIX}${bucket.name}:paused-until`, String(until), { px: ms });
+  } catch {
+    bucket.stats.shared.errors += 1;
+  }
+}
+
+function isRetryable(err) {
+  if (err?.code === 'REQUEST_BUDGET_EXHAUSTED') return false;
+  const status = Number(err?.status);
+  if (status === 429 || status >= 500) return true;
+  // SDK connection errors carry no status; match the class since they leave `name` as 'Error'.
+  const kind = err?.constructor?.name;
+  return kind === 'APIConnectionError' || kind === 'APIConnectionTimeoutError';
+}
+
+/**
+ * Run `task` once the named budget grants a token. priority: critical | normal | low.
+ * Upstream 429s pause the bucket for Retry-After (or REQUEST_RATE_LIMIT_BACKOFF_MS) before retrying;
+ * when that pause is longer than REQUEST_QUEUE_TIMEOUT_MS the 429 is thrown without a retry.
+ */
+async function scheduleRequest(name, config, task, options = {}) {
+  const bucket = getBucket(name, config);
+  const priorityName = Object.prototype.hasOwnProperty.call(PRIORITIES, options.priority) ? options.priority : 'normal';
+  const priority = PRIORITIES[priorityName];
+  bucket.stats.requests += 1;
+  bucket.stats.byPriority[priorityName] += 1;
+
+  let needsToken = true;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if (needsToken) await acquire(bucket, priority);
+    } catch (err) {
+      bucket.stats.failed += 1;
+      throw err;
+    }
+    try {
+      const result = await task();
+      bucket.stats.succeeded += 1;
+      return result;
+    } catch (err) {
+      const rateLimited = Number(err?.status) === 429 && err?.code !== 'REQUEST_BUDGET_EXHAUSTED';
+      if (rateLimited) {
+        const retryAfterMs = readRetryAfterMs(err) ?? DEFAULT_BACKOFF_MS;
+        bucket.stats.rateLimited += 1;
+        bucket.stats.lastRetryAfterMs = retryAfterMs;
+        await pauseBucket(bucket, retryAfterMs);
+      }
+      // A pause that outlasts the queue timeout would only turn the upstream 429 into a budget error.
+      const retryFits = !rateLimited || bucket.stats.lastRetryAfterMs < QUEUE_TIMEOUT_MS;
+      if (attempt >= MAX_RETRIES || !isRetryable(err) || !retryFits) {
+        bucket.stats.failed += 1;
+        throw err;
+      }
+      bucket.stats.retries += 1;
+      // A refused connection never reached the upstream counter, so its retry is not charged.
+      needsToken = err?.constructor?.name !== 'APIConnectionError';
+      if (!rateLimited) await sleep(Math.min(4000, 500 * (2 ** attempt)));
+    }
+  }
+}
+
+function getSchedulerStats() {
+  const now = Date.now();
+  return {
+    shared: Boolean(redis),
+    queueTimeoutMs: QUEUE_TIMEOUT_MS,
+    maxRetries: MAX_RETRIES,
+    buckets: Array.from(buckets.values()).map((bucket) => {
+      refill(bucket, now);
+      return {
+        name: bucket.name,
+        perMinute: bucket.perMinute,
+        burst: bucket.burst,
+        tokens: Math.floor(bucket.tokens * 100) / 100,
+        queueDepth: bucket.queue.length,
+        pausedForMs: Math.max(0, bucket.pausedUntil - now),
+        ...bucket.stats,
+        byPriority: { ...bucket.stats.byPriority },
+        shared: { ...bucket.stats.shared },
+      };
+    }),
+  };
+}
+
+module.exports = {
+  PRIORITIES,
+  scheduleRequest,
+  getSchedulerStats,
+};
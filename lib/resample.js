@@ -0,0 +1,156 @@
+/**
+ * Timeframe resampling engine
+ */
+const { medianInterval } = require('./candles');
+
+const TIMEFRAME_MS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+
+function timeframeMs(timeframe) {
+  return TIMEFRAME_MS[timeframe] || null;
+}
+
+// Source candles are stamped at their close time unless told otherwise, so a bar
+// closing exactly on a boundary belongs to the bucket that ends there.
+function bucketStartFor(timestamp, intervalMs, stamp) {
+  const ts = stamp === 'open' ? timestamp : timestamp - 1;
+  return Math.floor(ts / intervalMs) * intervalMs;
+}
+
+function mergeProvenance(current, next) {
+  if (!current) return next || 'unknown';
+  if (!next || current === next) return current;
+  return 'mixed';
+}
+
+function detectGaps(candles, intervalMs) {
+  const gaps = [];
+  let missingBuckets = 0;
+  for (let i = 1; i < candles.length; i++) {
+    const missing = Math.round((candles[i].timestamp - candles[i - 1].timestamp) / intervalMs) - 1;
+    if (missing > 0) {
+      gaps.push({ from: candles[i - 1].timestamp + intervalMs, to: candles[i].timestamp, missing });
+      missingBuckets += missing;
+    }
+  }
+  return { gaps, missingBuckets };
+}
+
+function resampleCandles(candles, timeframe, options = {}) {
+  const intervalMs = timeframeMs(timeframe);
+  const rows = (Array.isArray(candles) ? candles : []).slice().sort((a, b) => a.timestamp - b.timestamp);
+  const sourceIntervalMs = options.sourceIntervalMs || medianInterval(rows.map((c) => c.timestamp));
+  const stamp = options.stamp === 'open' ? 'open' : 'close';
+  const now = options.now || Date.now();
+  const meta = {
+    timeframe,
+    intervalMs,
+    sourceIntervalMs,
+    coarserSource: false,
+    partialLast: false,
+    droppedPartialFirst: false,
+    gaps: [],
+    missingBuckets: 0,
+  };
+
+  if (!intervalMs || !rows.length) {
+    const empty = [];
+    empty.resample = meta;
+    return empty;
+  }
+
+  // Never invent intrabar structure: a coarser source is passed through and flagged.
+  if (sourceIntervalMs && sourceIntervalMs > intervalMs * 1.01) {
+    const passthrough = rows.map((c) => ({ ...c }));
+    meta.coarserSource = true;
+    passthrough.resample = meta;
+    return passthrough;
+  }
+
+  const buckets = new Map();
+  rows.forEach((candle) => {
+    const start = bucketStartFor(candle.timestamp, intervalMs, stamp);
+    const bucket = buckets.get(start);
+    if (!bucket) {
+      buckets.set(start, {
+        timestamp: start,
+        closeTime: start + intervalMs,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume || 0,
+        provenance: candle.provenance || 'unknown',
+        volumeSource: candle.volumeSource || 'unknown',
+        samples: 1,
+      });
+      return;
+    }
+    bucket.high = Math.max(bucket.high, candle.high);
+    bucket.low = Math.min(bucket.low, candle.low);
+    bucket.close = candle.close;
+    bucket.volume += candle.volume || 0;
+    bucket.provenance = mergeProvenance(bucket.provenance, candle.provenance);
+    bucket.volumeSource = mergeProvenance(bucket.volumeSource, candle.volumeSource);
+    bucket.samples += 1;
+  });
+
+  const expectedSamples = sourceIntervalMs ? Math.max(1, Math.round(intervalMs / sourceIntervalMs)) : 1;
+  const out = Array.from(buckets.values()).sort((a, b) => a.timestamp - b.timestamp);
+  out.forEach((bucket) => {
+    bucket.coverage = Math.min(1, bucket.samples / expectedSamples);
+  });
+
+  if (out.length > 1 && out[0].coverage < 1 && options.keepPartialFirst !== true) {
+    out.shift();
+    meta.droppedPartialFirst = true;
+  }
+
+  const last = out[out.length - 1];
+  if (last && (last.closeTime > now || last.coverage < 1)) {
+    last.partial = true;
+    meta.partialLast = true;
+    if (options.dropPartialLast) {
+      out.pop();
+    }
+  }
+
+  Object.assign(meta, detectGaps(out, intervalMs));
+  out.resample = meta;
+  return out;
+}
+
+// Prefer complete buckets from the primary series (real OHLC); the base series supplies
+// volume and fills every bucket the primary does not cover.
+function overlayCandles(base, primary) {
+  const byTs = new Map(base.map((c) => [c.timestamp, c]));
+  primary.forEach((candle) => {
+    if (candle.coverage != null && candle.coverage < 1 && !candle.partial) return;
+    const fallback = byTs.get(candle.timestamp);
+    byTs.set(candle.timestamp, {
+      ...candle,
+      volume: fallback ? fallback.volume : candle.volume,
+      volumeSource: fallback ? fallback.volumeSource : candle.volumeSource,
+    });
+  });
+  const merged = Array.from(byTs.values()).sort((a, b) => a.timestamp - b.timestamp);
+  const meta = base.resample || primary.resample || null;
+  merged.resample = meta && meta.intervalMs
+    ? { ...meta, ...detectGaps(merged, meta.intervalMs), partialLast: Boolean(merged[merged.length - 1]?.partial) }
+    : meta;
+  return merged;
+}
+
+module.exports = {
+  TIMEFRAME_MS,
+  timeframeMs,
+  detectGaps,
+  resampleCandles,
+  overlayCandles,
+};
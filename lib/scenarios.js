@@ -0,0 +1,125 @@
+/**
+ * Demo market scenarios
+ *
+ * Each scenario maps series progress (0..1) to a per-bar drift, volatility, volume and wick
+ * profile, expressed in multiples of the timeframe's typical bar volatility. `finish` pins the
+ * last candles when a scenario needs an exact setup (e.g. the fakeout bar).
+ */
+const { timeframeMs } = require('./resample');
+
+// Typical one-bar move per timeframe, so the same scenario looks alike on 15m and 1d.
+const BAR_VOLATILITY = { '15m': 0.004, '1h': 0.007, '4h': 0.013, '1d': 0.03 };
+const BASE_VOLUME = 250000;
+
+// Range, then a push back to mid-range and a thin-volume poke above the range high that closes
+// just over it with a long upper wick.
+function finishFakeout(candles, sigma) {
+  const body = candles.slice(0, -2);
+  const rangeHigh = Math.max(...body.map((c) => c.high));
+  const rangeLow = Math.min(...body.map((c) => c.low));
+  const mid = (rangeHigh + rangeLow) / 2;
+  const recent = body.slice(-20);
+  const avgVolume = recent.reduce((sum, c) => sum + c.volume, 0) / recent.length;
+  const prev = candles[candles.length - 2];
+  const last = candles[candles.length - 1];
+  Object.assign(prev, {
+    close: mid,
+    high: Math.max(prev.open, mid) * (1 + sigma * 0.3),
+    low: Math.min(prev.open, mid) * (1 - sigma * 0.3),
+  });
+  Object.assign(last, {
+    open: mid,
+    close: rangeHigh * (1 + sigma * 0.15),
+    high: rangeHigh * (1 + sigma * 3),
+    low: mid * (1 - sigma * 0.2),
+    volume: avgVolume * 0.55,
+  });
+}
+
+const SCENARIOS = {
+  steady_uptrend: {
+    description: 'Persistent higher highs with shallow pullbacks and gradually rising volume',
+    profile: (p) => ({ drift: 0.3, vol: 0.8, volume: 0.9 + 0.4 * p, upperWick: 0.5, lowerWick: 0.7 }),
+  },
+  choppy_range: {
+    description: 'Mean-reverting chop inside a fixed band with wicks on both sides',
+    meanReversion: 0.45,
+    profile: () => ({ drift: 0, vol: 1.2, volume: 1, upperWick: 1.2, lowerWick: 1.2 }),
+  },
+  capitulation_crash: {
+    description: 'Slow bleed, then a high-volume flush with long lower wicks and a weak bounce',
+    profile: (p) => {
+      if (p < 0.8) return { drift: -0.15, vol: 0.9, volume: 0.9, upperWick: 0.6, lowerWick: 0.6 };
+      if (p < 0.93) return { drift: -2.2, vol: 2.2, volume: 4, upperWick: 0.4, lowerWick: 2.5 };
+      return { drift: 0.5, vol: 1.8, volume: 2.2, upperWick: 0.8, lowerWick: 1.6 };
+    },
+  },
+  short_squeeze: {
+    description: 'Grinding downtrend that reverses into a violent high-volume rally with upper wicks',
+    profile: (p) => (p < 0.82
+      ? { drift: -0.25, vol: 0.8, volume: 0.8, upperWick: 0.6, lowerWick: 0.6 }
+      : { drift: 2.4, vol: 2, volume: 3.5, upperWick: 1.6, lowerWick: 0.3 }),
+  },
+  breakout_fakeout: {
+    description: 'Tight range, then a low-volume break above the range high that leaves a long upper wick',
+    meanReversion: 0.3,
+    profile: () => ({ drift: 0, vol: 0.9, volume: 1, upperWick: 0.8, lowerWick: 0.8 }),
+    finish: finishFakeout,
+  },
+  low_volume_drift: {
+    description: 'Slow upward drift on small candles and thin, fading volume',
+    profile: (p) => ({ drift: 0.05, vol: 0.45, volume: 0.35 - 0.15 * p, upperWick: 0.4, lowerWick: 0.4 }),
+  },
+};
+
+const SCENARIO_NAMES = Object.keys(SCENARIOS);
+
+function describeScenario(name) {
+  const scenario = SCENARIOS[name];
+  return scenario ? { name, description: scenario.description } : null;
+}
+
+/**
+ * Open-stamped candles at `timeframe` for a named scenario. `rand` is the caller's seeded
+ * generator so the same symbol/timeframe/scenario always yields the same series.
+ */
+function buildScenarioCandles(name, { timeframe, count, startPrice, rand }) {
+  const scenario = SCENARIOS[name];
+  if (!scenario) throw new Error(`Unknown scenario: ${name}`);
+  const sigma = BAR_VOLATILITY[timeframe] || BAR_VOLATILITY['4h'];
+  const intervalMs = timeframeMs(timeframe) || timeframeMs('4h');
+  const gauss = () => (rand() + rand() + rand() - 1.5) * 2;
+  let ts = Math.floor(Date.now() / intervalMs) * intervalMs - (count - 1) * intervalMs;
+  let price = startPrice;
+  const candles = [];
+
+  for (let i = 0; i < count; i++) {
+    const shape = scenario.profile(count > 1 ? i / (count - 1) : 1);
+    const pull = scenario.meanReversion ? (scenario.meanReversion * Math.log(price / startPrice)) / sigma : 0;
+    const open = price;
+    const close = open * Math.exp(sigma * (shape.drift - pull + shape.vol * gauss()));
+    const moveSize = Math.abs(Math.log(close / open)) / sigma;
+    candles.push({
+      timestamp: ts,
+      open,
+      high: Math.max(open, close) * (1 + sigma * shape.upperWick * rand()),
+      low: Math.min(open, close) * (1 - sigma * shape.lowerWick * rand()),
+      close,
+      // Bigger bars trade more, on top of the scenario's volume regime.
+      volume: BASE_VOLUME * shape.volume * (0.7 + rand() * 0.6) * (1 + moveSize * 0.25),
+      provenance: 'synthetic',
+      volumeSource: 'synthetic',
+    });
+    price = close;
+    ts += intervalMs;
+  }
+
+  if (scenario.finish) scenario.finish(candles, sigma);
+  return candles;
+}
+
+module.exports = {
+  SCENARIO_NAMES,
+  describeScenario,
+  buildScenarioCandles,
+};
@@ -1,7 +1,29 @@
 /**
  * Crypto Signal Generator
  */
-const CoinGeckoSDK = require('@coingecko/coingecko-typescript');
+const { DAY_MS, hasApproximateVolume, summarizeProvenance } = require('./candles');
+const { timeframeMs, resampleCandles } = require('./resample');
+const { getMarketDataProvider } = require('./providers');
+const { defineCache, readThrough } = require('./tieredCache');
+const { fetchDerivativesSnapshot } = require('./derivatives');
+const { parseContractQuery } = require('./contracts');
+const { fetchDexCandles } = require('./dexPools');
+const { SCENARIO_NAMES, describeScenario, buildScenarioCandles } = require('./scenarios');
+const { candleAnatomy } = require('./candlePatterns');
+const { analyzeMarketStructure } = require('./marketStructure');
+const { buildFibonacci, nearestConfluentLevel } = require('./fibonacci');
+const { buildVolumeProfile } = require('./volumeProfile');
+const {
+  registerIndicator,
+  listIndicators,
+  longestLookback,
+  findSkippedIndicators,
+  computeIndicators,
+  indicatorEffects,
+  formatIndicators,
+  indicatorSeries,
+  priceDecimals,
+} = require('./indicators');
 
 const SYMBOL_MAP = {
   BTCUSDT: { name: 'Bitcoin', geckoId: 'bitcoin', keywords: ['bitcoin', 'btc'] },
@@ -22,15 +44,29 @@ const SYMBOL_MAP = {
   DOGEUSDT: { name: 'Dogecoin', geckoId: 'dogecoin', keywords: ['doge', 'dogecoin'] },
 };
 
-const COINGECKO_API_KEY = process.env.COINGECKO_API_KEY || process.env.CG_API_KEY || process.env.NEXT_PUBLIC_COINGECKO_API_KEY || '';
-const COINGECKO_DEMO_API_KEY = process.env.COINGECKO_DEMO_API_KEY || '';
-const COINGECKO_PRO_API_KEY = process.env.COINGECKO_PRO_API_KEY || '';
-const COINGECKO_API_ENV = String(process.env.COINGECKO_API_ENV || 'auto').toLowerCase();
-const EXPLICIT_CG_ENV = COINGECKO_API_ENV === 'pro' || COINGECKO_API_ENV === 'demo';
 const GECKO_RESOLVE_TTL_MS = 6 * 60 * 60 * 1000;
-let coingeckoClient = null;
-let coingeckoClientEnv = null;
-const geckoResolveCache = new Map();
+// Extra bars so EMA/ADX seeds have converged by the time the longest lookback is reached.
+const HISTORY_WARMUP_BARS = { '15m': 40, '1h': 40, '4h': 30, '1d': 20 };
+const DEMO_BASE_TIMEFRAME = { '15m': '5m', '1h': '15m', '4h': '1h', '1d': '4h' };
+// Futures and catalyst fetchers request the same coin payload so one upstream call serves both.
+const COIN_CONTEXT_OPTIONS = { communityData: true, developerData: true, tickers: false };
+const HOUR_MS = 60 * 60 * 1000;
+// Per-side ceiling on a category's points; the trend followers (EMA/SMA, ADX, Ichimoku, Supertrend,
+// Keltner, Donchian) mostly restate one trend, so together they cannot outvote everything else.
+const CATEGORY_CAPS = { trend: 4.5 };
+const CANDLE_CACHE = defineCache('candles', 'CANDLES', { ttlMs: 5 * 60 * 1000, staleTtlMs: 24 * HOUR_MS });
+const COIN_CONTEXT_CACHE = defineCache('coin-context', 'COIN_CONTEXT', { ttlMs: 10 * 60 * 1000, staleTtlMs: 24 * HOUR_MS });
+const TRENDING_CACHE = defineCache('trending', 'TRENDING', { ttlMs: 10 * 60 * 1000, staleTtlMs: 12 * HOUR_MS });
+const GLOBAL_CACHE = defineCache('global', 'GLOBAL', { ttlMs: 5 * 60 * 1000, staleTtlMs: 12 * HOUR_MS });
+// Shared through Upstash so every instance maps a ticker to the same coin.
+const SYMBOL_RESOLUTION_CACHE = defineCache('symbol-resolution', 'SYMBOL_RESOLUTION', { ttlMs: GECKO_RESOLVE_TTL_MS, staleTtlMs: 7 * 24 * HOUR_MS });
+// Contract -> coin mappings practically never change.
+const CONTRACT_CACHE = defineCache('contract', 'CONTRACT', { ttlMs: 24 * HOUR_MS, staleTtlMs: 7 * 24 * HOUR_MS });
+const SYMBOL_MIN_CONFIDENCE = clamp(Number(process.env.SYMBOL_MIN_CONFIDENCE) || 0.8, 0.5, 0.99);
+// The forming candle moves, so fresh candle TTLs scale with the timeframe unless CANDLES_CACHE_TTL_MS pins one.
+const CANDLE_CACHE_TTL_MS = process.env.CANDLES_CACHE_TTL_MS
+  ? {}
+  : { '15m': 60 * 1000, '1h': 2 * 60 * 1000, '4h': 5 * 60 * 1000, '1d': 15 * 60 * 1000 };
 
 function avg(values) {
   if (!values.length) return null;
@@ -65,158 +101,164 @@ function normalizeTradingSymbol(raw) {
   return `${cleaned}USDT`;
 }
 
-function resolveInitialCoinGeckoEnvironment() {
-  if (COINGECKO_API_ENV === 'pro') return 'pro';
-  if (COINGECKO_API_ENV === 'demo') return 'demo';
-  if (COINGECKO_PRO_API_KEY && !COINGECKO_DEMO_API_KEY) return 'pro';
-  if (COINGECKO_DEMO_API_KEY && !COINGECKO_PRO_API_KEY) return 'demo';
-  if (COINGECKO_API_KEY) return 'demo';
-  return 'demo';
+function sanitizeGeckoId(value) {
+  const id = String(value || '').trim();
+  return id || null;
 }
 
-function buildCoinGeckoClient(environment) {
-  const sharedKey = COINGECKO_API_KEY;
-  const proKey = COINGECKO_PRO_API_KEY || (environment === 'pro' ? sharedKey : '');
-  const demoKey = COINGECKO_DEMO_API_KEY || (environment === 'demo' ? sharedKey : '');
-  const options = {
-    environment,
-    proAPIKey: proKey || null,
-    demoAPIKey: demoKey || null,
-    timeout: 10000,
-    maxRetries: 2,
-  };
-
-  if (!proKey && !demoKey) {
-    // Allow unauthenticated public access mode when env keys are not available.
-    options.defaultHeaders = {
-      'x-cg-demo-api-key': null,
-      'x-cg-pro-api-key': null,
-    };
+// Market cap decides between same-ticker coins; tokens without one fall back to FDV, then volume.
+function candidateWeight(row) {
+  for (const value of [row?.market_cap, row?.fully_diluted_valuation, row?.total_volume]) {
+    const n = Number(value);
+    if (Number.isFinite(n) && n > 0) return n;
   }
-
-  coingeckoClientEnv = environment;
-  coingeckoClient = new CoinGeckoSDK(options);
-  return coingeckoClient;
+  return 0;
 }
 
-function getCoinGeckoClient(forceEnv = null) {
-  if (forceEnv) {
-    return buildCoinGeckoClient(forceEnv);
-  }
-  if (coingeckoClient) return coingeckoClient;
-  const initialEnv = resolveInitialCoinGeckoEnvironment();
-  return buildCoinGeckoClient(initialEnv);
+function toSymbolCandidate(row, weight, source) {
+  const symbol = String(row?.symbol || '').toUpperCase();
+  const marketCap = Number(row?.market_cap);
+  return {
+    id: sanitizeGeckoId(row?.id),
+    name: row?.name || symbol,
+    symbol,
+    pair: `${symbol}USDT`,
+    marketCapRank: row?.market_cap_rank ?? null,
+    marketCapUsd: Number.isFinite(marketCap) && marketCap > 0 ? marketCap : null,
+    thumb: row?.thumb || row?.image || '',
+    weight,
+    source,
+  };
 }
 
-function shouldRetryWithAlternateEnv(err) {
-  if (EXPLICIT_CG_ENV) return false;
-  if (!COINGECKO_API_KEY && !COINGECKO_DEMO_API_KEY && !COINGECKO_PRO_API_KEY) return false;
-  const status = Number(err?.status);
-  if (![400, 401, 403].includes(status)) return false;
-  const message = String(err?.message || '').toLowerCase();
-  if (message.includes('change your root url')) return true;
-  if (message.includes('limited to pro api subscribers')) return true;
-  if (message.includes('invalid api key')) return true;
-  if (message.includes('authentication')) return true;
-  return false;
-}
+async function rankSymbolCandidates(baseUpper) {
+  const provider = getMarketDataProvider();
+  let candidates = [];
 
-async function runCoinGeckoRequest(executor) {
   try {
-    return await executor(getCoinGeckoClient());
-  } catch (err) {
-    if (!shouldRetryWithAlternateEnv(err)) throw err;
-    const nextEnv = coingeckoClientEnv === 'pro' ? 'demo' : 'pro';
-    return executor(getCoinGeckoClient(nextEnv));
+    const marketRows = await provider.fetchMarkets(baseUpper.toLowerCase());
+    candidates = (marketRows || [])
+      .filter((row) => String(row?.symbol || '').toUpperCase() === baseUpper && row?.id)
+      .map((row) => toSymbolCandidate(row, candidateWeight(row), 'markets'));
+  } catch {}
+
+  // Search only has ranks, so it is used when markets data gives nothing to weigh.
+  if (!candidates.some((candidate) => candidate.weight > 0)) {
+    try {
+      const search = await provider.searchCoins(baseUpper);
+      const rows = (Array.isArray(search?.coins) ? search.coins : [])
+        .filter((row) => String(row?.symbol || '').toUpperCase() === baseUpper && row?.id);
+      if (rows.length) {
+        candidates = rows.map((row) => toSymbolCandidate(row, row?.market_cap_rank ? 1 / row.market_cap_rank : 0, 'search'));
+      }
+    } catch {}
   }
-}
 
-function sanitizeGeckoId(value) {
-  const id = String(value || '').trim();
-  return id || null;
+  const unique = Array.from(new Map(candidates.map((candidate) => [candidate.id, candidate])).values());
+  const total = unique.reduce((sum, candidate) => sum + candidate.weight, 0);
+  return unique
+    .map((candidate) => ({
+      ...candidate,
+      confidence: round(total > 0 ? candidate.weight / total : 1 / unique.length, 3),
+    }))
+    .sort((a, b) => b.confidence - a.confidence || (a.marketCapRank ?? Infinity) - (b.marketCapRank ?? Infinity))
+    .slice(0, 5)
+    .map(({ weight, ...candidate }) => candidate);
 }
 
-function getResolvedGeckoIdFromCache(key) {
-  const row = geckoResolveCache.get(key);
-  if (!row) return null;
-  if (row.expiresAt <= Date.now()) {
-    geckoResolveCache.delete(key);
-    return null;
+async function lookupContract(contract) {
+  const provider = getMarketDataProvider();
+  let lastError = null;
+  for (const platform of contract.platforms) {
+    try {
+      const coin = await provider.fetchContractCoin(platform, contract.address);
+      const id = sanitizeGeckoId(coin?.id);
+      if (!id) continue;
+      const symbol = String(coin.symbol || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+      return {
+        id,
+        name: coin.name || symbol,
+        symbol,
+        pair: `${symbol}USDT`,
+        marketCapRank: coin.market_cap_rank ?? coin.market_data?.market_cap_rank ?? null,
+        thumb: coin.image?.thumb || coin.image?.small || '',
+        platform,
+        contractAddress: contract.address,
+      };
+    } catch (err) {
+      // 404 means "not on this platform"; anything else may be transient and must not be cached as a miss.
+      if (Number(err?.status) !== 404) lastError = err;
+    }
   }
-  return row.geckoId || null;
+  if (lastError) throw lastError;
+  return null;
 }
 
-function setResolvedGeckoIdCache(key, geckoId) {
-  geckoResolveCache.set(key, {
-    geckoId: sanitizeGeckoId(geckoId),
-    expiresAt: Date.now() + GECKO_RESOLVE_TTL_MS,
-  });
-  if (geckoResolveCache.size > 600) {
-    const oldest = geckoResolveCache.keys().next().value;
-    if (oldest) geckoResolveCache.delete(oldest);
-  }
+/** Resolves `chain:address` or a bare address to a coin row carrying platform/contractAddress; null when unknown. */
+async function resolveContract(query) {
+  const contract = parseContractQuery(query);
+  if (!contract) return null;
+  const provider = getMarketDataProvider();
+  const key = `${provider.name}:${contract.platforms.join(',')}:${contract.address}`;
+  const { value } = await readThrough(CONTRACT_CACHE, key, () => lookupContract(contract));
+  return value || null;
 }
 
-async function resolveGeckoId(symbol, geckoIdOverride = null) {
-  const override = sanitizeGeckoId(geckoIdOverride);
-  if (override) return override;
-
+/**
+ * Ranked ticker -> CoinGecko id resolution. geckoId is null when the ticker is unknown or when
+ * the top candidate's confidence is below SYMBOL_MIN_CONFIDENCE (ambiguous: true).
+ */
+async function resolveSymbol(symbol, geckoIdOverride = null) {
+  if (parseContractQuery(symbol)) {
+    const coin = await resolveContract(symbol);
+    return {
+      symbol: coin?.symbol || null,
+      name: coin?.name || null,
+      geckoId: coin?.id || null,
+      confidence: coin ? 1 : 0,
+      ambiguous: false,
+      minConfidence: SYMBOL_MIN_CONFIDENCE,
+      source: 'contract',
+      platform: coin?.platform || null,
+      contractAddress: coin?.contractAddress || parseContractQuery(symbol).address,
+      candidates: [],
+    };
+  }
   const normalizedSymbol = normalizeTradingSymbol(symbol);
+  const baseUpper = symbolBase(normalizedSymbol).toUpperCase();
+  const override = sanitizeGeckoId(geckoIdOverride);
+  if (override) {
+    return { symbol: baseUpper, geckoId: override, confidence: 1, ambiguous: false, minConfidence: SYMBOL_MIN_CONFIDENCE, source: 'override', candidates: [] };
+  }
   const knownId = sanitizeGeckoId(SYMBOL_MAP[normalizedSymbol]?.geckoId);
-  if (knownId) return knownId;
-
-  const base = symbolBase(normalizedSymbol);
-  const cacheKey = base.toUpperCase();
-  const cached = getResolvedGeckoIdFromCache(cacheKey);
-  if (cached) return cached;
-
-  const baseLower = base.toLowerCase();
-  const baseUpper = base.toUpperCase();
-
-  try {
-    const marketRows = await runCoinGeckoRequest((client) => client.coins.markets.get({
-      vs_currency: 'usd',
-      symbols: baseLower,
-      include_tokens: 'all',
-      order: 'market_cap_desc',
-      per_page: 50,
-      page: 1,
-    }));
-
-    const exactRows = (marketRows || []).filter((row) => String(row?.symbol || '').toUpperCase() === baseUpper);
-    const exact = exactRows[0];
-    if (exact?.id) {
-      setResolvedGeckoIdCache(cacheKey, exact.id);
-      return exact.id;
-    }
-  } catch {}
-
-  try {
-    const search = await runCoinGeckoRequest((client) => client.search.get({ query: baseUpper }));
-    const coins = Array.isArray(search?.coins) ? search.coins : [];
-    const exact = coins.find((row) => String(row?.symbol || '').toUpperCase() === baseUpper) || coins[0];
-    const resolved = sanitizeGeckoId(exact?.id);
-    if (resolved) {
-      setResolvedGeckoIdCache(cacheKey, resolved);
-      return resolved;
-    }
-  } catch {}
+  if (knownId) {
+    return { symbol: baseUpper, geckoId: knownId, confidence: 1, ambiguous: false, minConfidence: SYMBOL_MIN_CONFIDENCE, source: 'known', candidates: [] };
+  }
 
-  return null;
+  const provider = getMarketDataProvider();
+  const { value } = await readThrough(SYMBOL_RESOLUTION_CACHE, `${provider.name}:${baseUpper}`, async () => {
+    const candidates = await rankSymbolCandidates(baseUpper);
+    const top = candidates[0] || null;
+    const ambiguous = candidates.length > 1 && top.confidence < SYMBOL_MIN_CONFIDENCE;
+    return {
+      symbol: baseUpper,
+      geckoId: top && !ambiguous ? top.id : null,
+      confidence: top ? top.confidence : 0,
+      ambiguous,
+      minConfidence: SYMBOL_MIN_CONFIDENCE,
+      source: top ? top.source : null,
+      candidates,
+    };
+  }, { isUsable: (resolution) => resolution.candidates.length > 0 });
+  return value;
 }
 
-async function fetchCoinGeckoSpotPrice(geckoId) {
-  const safeId = sanitizeGeckoId(geckoId);
-  if (!safeId) return null;
-  const price = await runCoinGeckoRequest((client) => client.simple.price.get({
-    ids: safeId,
-    vs_currencies: 'usd',
-    include_last_updated_at: true,
-    include_24hr_change: true,
-    include_24hr_vol: true,
-    include_market_cap: true,
-  }));
-  return Number(price?.[safeId]?.usd ?? null);
+async function resolveGeckoId(symbol, geckoIdOverride = null) {
+  try {
+    return (await resolveSymbol(symbol, geckoIdOverride)).geckoId;
+  } catch {
+    return null;
+  }
 }
 
 function sentimentLabel(score) {
@@ -267,6 +309,20 @@ function keywordSentiment(text) {
   return clamp((positives - negatives) / Math.max(1, positives + negatives), -1, 1);
 }
 
+function historyRequirement(timeframe) {
+  const lookback = longestLookback();
+  const warmup = HISTORY_WARMUP_BARS[timeframe] ?? 30;
+  const bars = lookback + warmup;
+  const intervalMs = timeframeMs(timeframe) || timeframeMs('4h');
+  return {
+    timeframe,
+    longestLookback: lookback,
+    warmupBars: warmup,
+    bars,
+    days: Math.ceil((bars * intervalMs) / DAY_MS),
+  };
+}
+
 function formatPct(value, digits = 2) {
   if (!Number.isFinite(value)) return '-';
   return `${value >= 0 ? '+' : ''}${round(value, digits)}%`;
@@ -274,68 +330,21 @@ function formatPct(value, digits = 2) {
 
 // ── Market Data ─────────────────────────────────────────────────────────────
 
-async function fetchFromCoinGecko(symbol, timeframe, limit = 120, geckoIdOverride = null) {
+async function fetchCoinContext(symbol, geckoIdOverride = null, options = {}) {
   const geckoId = await resolveGeckoId(symbol, geckoIdOverride);
   if (!geckoId) {
-    throw new Error(`CoinGecko id not found for ${symbolBase(symbol)}`);
+    throw new Error(`Coin context unavailable for ${symbolBase(symbol)}`);
   }
-  const daysMap = { '15m': 1, '1h': 3, '4h': 7, '1d': 90 };
-  const days = daysMap[timeframe] || 7;
-  const interval = ['15m', '1h', '4h'].includes(timeframe) ? 'hourly' : 'daily';
-  const data = await runCoinGeckoRequest((client) => client.coins.marketChart.get(geckoId, {
-    vs_currency: 'usd',
-    days: String(days),
-    interval,
-  }));
-
-  const pricesRaw = Array.isArray(data?.prices) ? data.prices : [];
-  const volumesRaw = Array.isArray(data?.total_volumes) ? data.total_volumes : [];
-  const fromIndex = Math.max(0, pricesRaw.length - limit);
-  const prices = pricesRaw.slice(fromIndex);
-  const volumes = volumesRaw.slice(fromIndex);
-
-  const candles = prices.slice(-limit).map((p, i) => ({
-    timestamp: p[0],
-    open: p[1],
-    high: p[1] * 1.005,
-    low: p[1] * 0.995,
-    close: p[1],
-    volume: volumes[i] ? volumes[i][1] : 0,
-  }));
-
-  try {
-    const spotPrice = await fetchCoinGeckoSpotPrice(geckoId);
-    if (Number.isFinite(spotPrice) && candles.length) {
-      const last = candles[candles.length - 1];
-      last.close = spotPrice;
-      last.high = Math.max(last.high, spotPrice);
-      last.low = Math.min(last.low, spotPrice);
-    }
-  } catch {}
-
-  candles.dataSource = 'coingecko_proxy';
-  return candles;
-}
-
-async function fetchCoinGeckoCoinContext(symbol, geckoIdOverride = null, options = {}) {
-  const geckoId = await resolveGeckoId(symbol, geckoIdOverride);
-  if (!geckoId) {
-    throw new Error(`CoinGecko context unavailable for ${symbolBase(symbol)}`);
-  }
-  const includeCommunityData = Boolean(options.communityData);
-  const includeDeveloperData = Boolean(options.developerData);
-  const includeTickers = Boolean(options.tickers);
-  return runCoinGeckoRequest((client) => client.coins.getID(geckoId, {
-    localization: false,
-    tickers: includeTickers,
-    market_data: true,
-    community_data: includeCommunityData,
-    developer_data: includeDeveloperData,
-    sparkline: false,
-  }));
+  const provider = getMarketDataProvider();
+  const cached = await readThrough(
+    COIN_CONTEXT_CACHE,
+    `${provider.name}:${geckoId}:${JSON.stringify(options)}`,
+    () => provider.fetchCoinContext(geckoId, options),
+  );
+  return cached.value;
 }
 
-function generateDemoData(symbol, timeframe, limit = 120, seedPrice = null) {
+function generateDemoData(symbol, timeframe, limit = 120, seedPrice = null, scenario = null) {
   const basePrices = {
     BTCUSDT: 96500, ETHUSDT: 2700, SOLUSDT: 195, BNBUSDT: 640,
     XRPUSDT: 2.65, ADAUSDT: 0.78, AVAXUSDT: 36, DOGEUSDT: 0.26, TRXUSDT: 0.12,
@@ -344,26 +353,55 @@ function generateDemoData(symbol, timeframe, limit = 120, seedPrice = null) {
     ? seedPrice
     : (basePrices[symbol] || 1.2);
   let seed = 0;
-  for (const ch of symbol + timeframe) seed = ((seed << 5) - seed + ch.charCodeAt(0)) | 0;
+  for (const ch of symbol + timeframe + (scenario || '')) seed = ((seed << 5) - seed + ch.charCodeAt(0)) | 0;
   const rand = () => { seed = (seed * 16807 + 0) % 2147483647; return (seed & 0x7fffffff) / 2147483647; };
+  if (scenario) {
+    const safeScenarioTimeframe = timeframeMs(timeframe) ? timeframe : '4h';
+    const candles = buildScenarioCandles(scenario, { timeframe: safeScenarioTimeframe, count: limit + 1, startPrice: price, rand });
+    const series = resampleCandles(candles, safeScenarioTimeframe, { stamp: 'open', sourceIntervalMs: timeframeMs(safeScenarioTimeframe) });
+    const ohlcv = series.slice(-limit);
+    ohlcv.dataSource = 'demo';
+    ohlcv.scenario = describeScenario(scenario);
+    ohlcv.resample = series.resample;
+    ohlcv.provenance = summarizeProvenance(ohlcv);
+    return ohlcv;
+  }
   const trend = rand() > 0.5 ? 1 : -1;
   const volatility = 0.01 + rand() * 0.02;
-  const msMap = { '15m': 900000, '1h': 3600000, '4h': 14400000, '1d': 86400000 };
-  const intervalMs = msMap[timeframe] || 14400000;
-  let ts = Date.now() - limit * intervalMs;
-
-  const ohlcv = [];
-  for (let i = 0; i < limit; i++) {
-    const change = (rand() - 0.5 + trend * 0.002) * volatility;
+  const safeTimeframe = timeframeMs(timeframe) ? timeframe : '4h';
+  const baseTimeframe = DEMO_BASE_TIMEFRAME[safeTimeframe];
+  const baseMs = timeframeMs(baseTimeframe);
+  const factor = Math.round(timeframeMs(safeTimeframe) / baseMs);
+  const baseVolatility = volatility / Math.sqrt(factor);
+  const count = (limit + 1) * factor;
+  let ts = Math.floor(Date.now() / baseMs) * baseMs - (count - 1) * baseMs;
+
+  // Simulate the finer base series, then bucket it like live data.
+  const base = [];
+  for (let i = 0; i < count; i++) {
+    const change = (rand() - 0.5 + trend * 0.002) * baseVolatility;
     price *= 1 + change;
-    const high = price * (1 + rand() * volatility * 0.5);
-    const low = price * (1 - rand() * volatility * 0.5);
+    const high = price * (1 + rand() * baseVolatility * 0.5);
+    const low = price * (1 - rand() * baseVolatility * 0.5);
     const close = low + rand() * (high - low);
-    ohlcv.push({ timestamp: ts, open: price, high, low, close, volume: 100000 + rand() * 400000 });
-    ts += intervalMs;
+    base.push({
+      timestamp: ts,
+      open: price,
+      high,
+      low,
+      close,
+      volume: (100000 + rand() * 400000) / factor,
+      provenance: 'synthetic',
+      volumeSource: 'synthetic',
+    });
+    ts += baseMs;
     price = close;
   }
+  const resampled = resampleCandles(base, safeTimeframe, { sourceIntervalMs: baseMs });
+  const ohlcv = resampled.slice(-limit);
   ohlcv.dataSource = 'demo';
+  ohlcv.resample = resampled.resample;
+  ohlcv.provenance = summarizeProvenance(ohlcv);
   return ohlcv;
 }
 
@@ -371,21 +409,14 @@ async function fetchSpotPriceBySymbol(symbol, geckoIdOverride = null) {
   try {
     const geckoId = await resolveGeckoId(symbol, geckoIdOverride);
     if (geckoId) {
-      const price = await fetchCoinGeckoSpotPrice(geckoId);
+      const price = await getMarketDataProvider().fetchSpotPrice(geckoId);
       if (Number.isFinite(price) && price > 0) return price;
     }
   } catch {}
 
   try {
     const base = symbolBase(symbol).toLowerCase();
-    const rows = await runCoinGeckoRequest((client) => client.coins.markets.get({
-      vs_currency: 'usd',
-      symbols: base,
-      include_tokens: 'all',
-      order: 'market_cap_desc',
-      per_page: 50,
-      page: 1,
-    }));
+    const rows = await getMarketDataProvider().fetchMarkets(base);
     const exact = (rows || []).find((row) => String(row?.symbol || '').toUpperCase() === symbolBase(symbol));
     const price = Number(exact?.current_price ?? null);
     if (Number.isFinite(price) && price > 0) return price;
@@ -394,34 +425,110 @@ async function fetchSpotPriceBySymbol(symbol, geckoIdOverride = null) {
   return null;
 }
 
+// Candle arrays carry dataSource/resample/provenance as properties, which JSON would drop.
+function packCandles(candles, limit) {
+  return {
+    candles: Array.from(candles),
+    limit,
+    dataSource: candles.dataSource || null,
+    resample: candles.resample || null,
+    pool: candles.pool || null,
+    historyCap: candles.historyCap || null,
+  };
+}
+
+function unpackCandles(cached, limit) {
+  const candles = cached.value.candles.slice(-limit);
+  candles.dataSource = cached.value.dataSource;
+  candles.resample = cached.value.resample;
+  if (cached.value.pool) candles.pool = cached.value.pool;
+  if (cached.value.historyCap) candles.historyCap = cached.value.historyCap;
+  candles.provenance = summarizeProvenance(candles);
+  candles.cache = { status: cached.status, stale: cached.stale, createdAt: new Date(cached.createdAt).toISOString() };
+  return candles;
+}
+
 async function fetchOHLCV(symbol, timeframe, limit = 120, options = {}) {
   const normalizedSymbol = normalizeTradingSymbol(symbol);
   const geckoId = options?.geckoId || null;
   try {
-    return await fetchFromCoinGecko(normalizedSymbol, timeframe, limit, geckoId);
-  } catch {
-    const spotPrice = await fetchSpotPriceBySymbol(normalizedSymbol, geckoId);
-    return generateDemoData(normalizedSymbol, timeframe, limit, spotPrice);
+    const resolvedId = await resolveGeckoId(normalizedSymbol, geckoId);
+    if (!resolvedId) {
+      throw new Error(`Market data id not found for ${symbolBase(normalizedSymbol)}`);
+    }
+    const provider = getMarketDataProvider();
+    const cached = await readThrough(
+      CANDLE_CACHE,
+      `${provider.name}:${resolvedId}:${timeframe}`,
+      async () => packCandles(await provider.fetchCandles(resolvedId, timeframe, limit), limit),
+      {
+        ttlMs: CANDLE_CACHE_TTL_MS[timeframe],
+        isUsable: (value) => value.candles.length > 0,
+        accept: (value) => value.limit >= limit,
+      },
+    );
+    return unpackCandles(cached, limit);
+  } catch (err) {
+    try {
+      return await fetchDexOHLCV(normalizedSymbol, timeframe, limit, options);
+    } catch {}
+    if (options?.synthetic === false) throw err;
+    return fetchSyntheticOHLCV(normalizedSymbol, timeframe, limit, options);
   }
 }
 
-// ── Futures Context ─────────────────────────────────────────────────────────
+// Real pool trades for long-tail tokens, tried before any synthetic data. Only a resolved coin or
+// contract picks the pool; an unresolved ticker keeps the caller's not-found/ambiguity handling.
+async function fetchDexOHLCV(normalizedSymbol, timeframe, limit, options = {}) {
+  let tokens = options.contractAddress ? [{ platform: options.platform, address: options.contractAddress }] : [];
+  if (!tokens.length) {
+    if (!await resolveGeckoId(normalizedSymbol, options.geckoId)) {
+      throw new Error(`${symbolBase(normalizedSymbol)} is not resolved to a coin or contract; DEX pools need one`);
+    }
+    const coin = await fetchCoinContext(normalizedSymbol, options.geckoId, COIN_CONTEXT_OPTIONS);
+    tokens = Object.entries(coin?.platforms || {})
+      .filter(([platform, address]) => platform && address)
+      .map(([platform, address]) => ({ platform, address }));
+    // A listed coin without contracts is a native asset; a same-ticker DEX pool would be another token.
+    if (!tokens.length) throw new Error(`${symbolBase(normalizedSymbol)} has no token contract to look up DEX pools`);
+  }
+  const tokenKey = tokens.map((token) => `${token.platform}:${token.address}`).join(',');
+  const cached = await readThrough(
+    CANDLE_CACHE,
+    `dex:${tokenKey}:${timeframe}`,
+    async () => packCandles(await fetchDexCandles(normalizedSymbol, timeframe, limit, tokens), limit),
+    {
+      ttlMs: CANDLE_CACHE_TTL_MS[timeframe],
+      isUsable: (value) => value.candles.length > 0,
+      accept: (value) => value.limit >= limit,
+    },
+  );
+  return unpackCandles(cached, limit);
+}
 
-async function fetchFuturesContext(symbol, _timeframe, options = {}) {
+// Symbol-seeded demo candles, anchored to the live spot price when one is reachable.
+// Scenario runs skip the spot anchor so a scenario replays identically for regression checks.
+async function fetchSyntheticOHLCV(symbol, timeframe, limit = 120, options = {}) {
   const normalizedSymbol = normalizeTradingSymbol(symbol);
+  if (options?.scenario) {
+    return generateDemoData(normalizedSymbol, timeframe, limit, null, options.scenario);
+  }
+  const spotPrice = await fetchSpotPriceBySymbol(normalizedSymbol, options?.geckoId || null);
+  return generateDemoData(normalizedSymbol, timeframe, limit, spotPrice);
+}
+
+// ── Futures Context ─────────────────────────────────────────────────────────
+
+async function fetchVolumeProxy(normalizedSymbol, geckoIdOverride) {
   let coin = null;
   let volumeSeries = [];
   try {
-    coin = await fetchCoinGeckoCoinContext(normalizedSymbol, options?.geckoId || null);
+    coin = await fetchCoinContext(normalizedSymbol, geckoIdOverride, COIN_CONTEXT_OPTIONS);
   } catch {}
   try {
-    const geckoId = await resolveGeckoId(normalizedSymbol, options?.geckoId || null);
+    const geckoId = await resolveGeckoId(normalizedSymbol, geckoIdOverride);
     if (geckoId) {
-      const data = await runCoinGeckoRequest((client) => client.coins.marketChart.get(geckoId, {
-        vs_currency: 'usd',
-        days: '3',
-        interval: 'hourly',
-      }));
+      const data = await getMarketDataProvider().fetchMarketChart(geckoId, 3);
       volumeSeries = Array.isArray(data?.total_volumes) ? data.total_volumes : [];
     }
   } catch {}
@@ -439,24 +546,38 @@ async function fetchFuturesContext(symbol, _timeframe, options = {}) {
   const volumeChangePct = recent24hVolume != null && prev24hVolume != null && prev24hVolume > 0
     ? ((recent24hVolume - prev24hVolume) / prev24hVolume) * 100
     : null;
+  return {
+    latest: recent24hVolume ?? (Number.isFinite(volumeUsd) ? volumeUsd : null),
+    changePct: Number.isFinite(volumeChangePct) ? volumeChangePct : null,
+  };
+}
+
+async function fetchFuturesContext(symbol, timeframe, options = {}) {
+  const normalizedSymbol = normalizeTradingSymbol(symbol);
+  let derivatives = null;
+  const warnings = [];
+  try {
+    derivatives = await fetchDerivativesSnapshot(normalizedSymbol, timeframe);
+    if (derivatives?.errors.length) warnings.push(`Derivatives venue partly unavailable: ${derivatives.errors.join('; ')}`);
+  } catch (err) {
+    warnings.push(`Derivatives venue unavailable, funding and open interest not scored: ${err?.message || err}`);
+  }
+
+  // Spot volume only stands in for open interest when the perp venue has none for this symbol.
+  const openInterest = derivatives?.openInterest
+    || { ...(await fetchVolumeProxy(normalizedSymbol, options?.geckoId || null)), source: `${getMarketDataProvider().name}_volume_proxy` };
+  const fundingRate = derivatives?.fundingRate
+    || { current: null, annualizedPct: null, nextFundingTime: null, source: null };
+  const longShortRatio = derivatives?.longShortRatio
+    || { ratio: null, changePct: null, source: null };
+  const perpFields = [fundingRate, openInterest, longShortRatio].filter((field) => field.source === 'perp_api').length;
 
   return {
-    fundingRate: {
-      // CoinGecko has no futures funding endpoint on free market APIs.
-      current: null,
-      annualizedPct: null,
-      nextFundingTime: null,
-    },
-    openInterest: {
-      // Proxy: rolling 24h USD volume and its day-over-day change from CoinGecko.
-      latest: recent24hVolume ?? (Number.isFinite(volumeUsd) ? volumeUsd : null),
-      changePct: Number.isFinite(volumeChangePct) ? volumeChangePct : null,
-    },
-    longShortRatio: {
-      ratio: null,
-      changePct: null,
-    },
-    source: 'coingecko_proxy',
+    fundingRate,
+    openInterest,
+    longShortRatio,
+    source: perpFields === 3 ? 'perp_api' : perpFields > 0 ? 'mixed' : openInterest.source,
+    warnings,
   };
 }
 
@@ -466,6 +587,10 @@ async function searchCoins(query, limit = 10) {
   const q = String(query || '').trim();
   if (!q) return [];
   const safeLimit = clamp(Number(limit) || 10, 1, 20);
+  if (parseContractQuery(q)) {
+    const coin = await resolveContract(q);
+    return coin ? [coin] : [];
+  }
   const normalizedSymbolQuery = String(q).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 15);
   const bucket = new Map();
   let errorCount = 0;
@@ -488,7 +613,7 @@ async function searchCoins(query, limit = 10) {
   };
 
   try {
-    const data = await runCoinGeckoRequest((client) => client.search.get({ query: q }));
+    const data = await getMarketDataProvider().searchCoins(q);
     (data?.coins || []).forEach((coin) => {
       pushSuggestion({
         id: coin.id,
@@ -504,14 +629,7 @@ async function searchCoins(query, limit = 10) {
 
   if (normalizedSymbolQuery) {
     try {
-      const markets = await runCoinGeckoRequest((client) => client.coins.markets.get({
-        vs_currency: 'usd',
-        symbols: normalizedSymbolQuery.toLowerCase(),
-        include_tokens: 'all',
-        order: 'market_cap_desc',
-        per_page: 50,
-        page: 1,
-      }));
+      const markets = await getMarketDataProvider().fetchMarkets(normalizedSymbolQuery.toLowerCase());
       (markets || []).forEach((coin) => {
         pushSuggestion({
           id: coin.id,
@@ -563,7 +681,8 @@ async function fetchCatalystWatch(symbol, options = {}) {
   let coin = null;
 
   try {
-    const data = await runCoinGeckoRequest((client) => client.search.trending.get());
+    const provider = getMarketDataProvider();
+    const { value: data } = await readThrough(TRENDING_CACHE, provider.name, () => provider.fetchTrending());
     trendingRows = (data?.coins || []).map((entry, idx) => {
       const item = entry || {};
       const chg = item?.data?.price_change_percentage_24h?.usd;
@@ -578,16 +697,13 @@ async function fetchCatalystWatch(symbol, options = {}) {
   } catch {}
 
   try {
-    const payload = await runCoinGeckoRequest((client) => client.global.get());
+    const provider = getMarketDataProvider();
+    const { value: payload } = await readThrough(GLOBAL_CACHE, provider.name, () => provider.fetchGlobal());
     globalData = payload?.data || null;
   } catch {}
 
   try {
-    coin = await fetchCoinGeckoCoinContext(normalizedSymbol, geckoId, {
-      communityData: true,
-      developerData: true,
-      tickers: false,
-    });
+    coin = await fetchCoinContext(normalizedSymbol, geckoId, COIN_CONTEXT_OPTIONS);
   } catch {}
 
   const market = coin?.market_data || {};
@@ -903,269 +1019,129 @@ async function fetchCatalystWatch(symbol, options = {}) {
   };
 }
 
-// ── Technical Indicators ────────────────────────────────────────────────────
-
-function sma(prices, period) {
-  if (prices.length < period) return null;
-  return prices.slice(-period).reduce((s, v) => s + v, 0) / period;
-}
-
-function ema(prices, period) {
-  if (prices.length < period) return null;
-  const k = 2 / (period + 1);
-  let e = prices.slice(0, period).reduce((s, v) => s + v, 0) / period;
-  for (let i = period; i < prices.length; i++) e = prices[i] * k + e * (1 - k);
-  return e;
-}
-
-function rsi(prices, period = 14) {
-  if (prices.length < period + 1) return null;
-  let avgGain = 0;
-  let avgLoss = 0;
-  for (let i = prices.length - period; i < prices.length; i++) {
-    const d = prices[i] - prices[i - 1];
-    if (d > 0) avgGain += d;
-    else avgLoss -= d;
-  }
-  avgGain /= period;
-  avgLoss /= period;
-  if (avgLoss === 0) return 100;
-  return 100 - 100 / (1 + avgGain / avgLoss);
-}
-
-function macd(prices) {
-  if (prices.length < 26) return { line: null, signal: null, histogram: null };
-  const ema12 = ema(prices, 12);
-  const ema26 = ema(prices, 26);
-  if (ema12 === null || ema26 === null) return { line: null, signal: null, histogram: null };
-  const line = ema12 - ema26;
-
-  const history = [];
-  const k12 = 2 / 13;
-  const k26 = 2 / 27;
-  let e12 = prices.slice(0, 12).reduce((s, v) => s + v, 0) / 12;
-  let e26 = prices.slice(0, 26).reduce((s, v) => s + v, 0) / 26;
-  for (let i = 12; i < 26; i++) e12 = prices[i] * k12 + e12 * (1 - k12);
-  for (let i = 26; i < prices.length; i++) {
-    e12 = prices[i] * k12 + e12 * (1 - k12);
-    e26 = prices[i] * k26 + e26 * (1 - k26);
-    history.push(e12 - e26);
-  }
-
-  let signalLine = null;
-  if (history.length >= 9) {
-    const k9 = 2 / 10;
-    signalLine = history.slice(0, 9).reduce((s, v) => s + v, 0) / 9;
-    for (let i = 9; i < history.length; i++) signalLine = history[i] * k9 + signalLine * (1 - k9);
-  }
-  return { line, signal: signalLine, histogram: signalLine !== null ? line - signalLine : null };
-}
-
-function bollingerBands(prices, period = 20, stdMultiplier = 2) {
-  if (prices.length < period) return { upper: null, middle: null, lower: null };
-  const middle = sma(prices, period);
-  const slice = prices.slice(-period);
-  const variance = slice.reduce((s, v) => s + (v - middle) ** 2, 0) / period;
-  const sd = Math.sqrt(variance);
-  return { upper: middle + stdMultiplier * sd, middle, lower: middle - stdMultiplier * sd };
-}
-
-function momentum(prices, period) {
-  if (prices.length <= period) return null;
-  const base = prices[prices.length - 1 - period];
-  if (!base) return null;
-  return (prices[prices.length - 1] - base) / base;
-}
+// DEX pool depth and 24h order flow stand in for the CoinGecko liquidity metrics long-tail tokens lack.
+function withDexPoolContext(catalystWatch, pool) {
+  if (!pool) return catalystWatch;
+  const signals = [];
+  const liquidityUsd = Number(pool.liquidityUsd);
+  const volume24hUsd = Number(pool.volume24hUsd);
+  const buys = Number(pool.transactions24h?.buys);
+  const sells = Number(pool.transactions24h?.sells);
 
-function atr(ohlcv, period = 14) {
-  if (ohlcv.length < period + 1) return null;
-  const trs = [];
-  for (let i = ohlcv.length - period; i < ohlcv.length; i++) {
-    const high = ohlcv[i].high;
-    const low = ohlcv[i].low;
-    const prevClose = ohlcv[i - 1].close;
-    trs.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  if (Number.isFinite(liquidityUsd)) {
+    const depthScore = liquidityUsd >= 1e6 ? 6 : liquidityUsd >= 250000 ? 3 : liquidityUsd >= 50000 ? 0 : -6;
+    signals.push({ label: `DEX pool liquidity $${Math.round(liquidityUsd).toLocaleString('en-US')} (${pool.name})`, score: depthScore });
   }
-  return avg(trs);
-}
 
-function adx(ohlcv, period = 14) {
-  if (ohlcv.length < period * 2 + 1) return null;
-
-  const tr = [];
-  const plusDM = [];
-  const minusDM = [];
-
-  for (let i = 1; i < ohlcv.length; i++) {
-    const curr = ohlcv[i];
-    const prev = ohlcv[i - 1];
-    const upMove = curr.high - prev.high;
-    const downMove = prev.low - curr.low;
-    plusDM.push(upMove > downMove && upMove > 0 ? upMove : 0);
-    minusDM.push(downMove > upMove && downMove > 0 ? downMove : 0);
-    tr.push(Math.max(
-      curr.high - curr.low,
-      Math.abs(curr.high - prev.close),
-      Math.abs(curr.low - prev.close),
-    ));
+  if (Number.isFinite(volume24hUsd) && Number.isFinite(liquidityUsd) && liquidityUsd > 0) {
+    const turnover = volume24hUsd / liquidityUsd;
+    const turnoverScore = turnover >= 0.5 ? 3 : turnover < 0.05 ? -3 : 0;
+    signals.push({ label: `DEX volume/liquidity ${round(turnover * 100, 1)}%`, score: turnoverScore });
   }
 
-  let trSmooth = tr.slice(0, period).reduce((sum, value) => sum + value, 0);
-  let plusSmooth = plusDM.slice(0, period).reduce((sum, value) => sum + value, 0);
-  let minusSmooth = minusDM.slice(0, period).reduce((sum, value) => sum + value, 0);
-  const dxSeries = [];
-
-  for (let i = period; i < tr.length; i++) {
-    trSmooth = trSmooth - (trSmooth / period) + tr[i];
-    plusSmooth = plusSmooth - (plusSmooth / period) + plusDM[i];
-    minusSmooth = minusSmooth - (minusSmooth / period) + minusDM[i];
-
-    if (trSmooth <= 0) continue;
-    const plusDI = (plusSmooth / trSmooth) * 100;
-    const minusDI = (minusSmooth / trSmooth) * 100;
-    const denominator = plusDI + minusDI;
-    if (denominator <= 0) continue;
-    dxSeries.push((Math.abs(plusDI - minusDI) / denominator) * 100);
+  if (Number.isFinite(buys) && Number.isFinite(sells) && buys + sells >= 20) {
+    const buyShare = buys / (buys + sells);
+    const flowScore = clamp((buyShare - 0.5) * 40, -8, 8);
+    signals.push({ label: `DEX 24h flow ${buys} buys / ${sells} sells`, score: round(flowScore, 2) });
+  } else if (Number.isFinite(buys) && Number.isFinite(sells)) {
+    signals.push({ label: `Thin DEX activity (${buys + sells} trades in 24h)`, score: -4 });
   }
 
-  if (dxSeries.length < period) return null;
-  let adxValue = avg(dxSeries.slice(0, period));
-  for (let i = period; i < dxSeries.length; i++) {
-    adxValue = ((adxValue * (period - 1)) + dxSeries[i]) / period;
-  }
-  return adxValue;
-}
-
-function stochasticOscillator(ohlcv, kPeriod = 14, dPeriod = 3) {
-  if (ohlcv.length < kPeriod + dPeriod) {
-    return { k: null, d: null, prevK: null, prevD: null };
-  }
-
-  const rawK = [];
-  for (let i = kPeriod - 1; i < ohlcv.length; i++) {
-    const window = ohlcv.slice(i - kPeriod + 1, i + 1);
-    const highest = Math.max(...window.map((c) => c.high));
-    const lowest = Math.min(...window.map((c) => c.low));
-    const close = ohlcv[i].close;
-    if (highest === lowest) {
-      rawK.push(50);
-    } else {
-      rawK.push(((close - lowest) / (highest - lowest)) * 100);
-    }
-  }
-
-  if (rawK.length < dPeriod + 1) {
-    return { k: null, d: null, prevK: null, prevD: null };
-  }
-
-  const k = rawK[rawK.length - 1];
-  const prevK = rawK[rawK.length - 2];
-  const d = avg(rawK.slice(-dPeriod));
-  const prevD = avg(rawK.slice(-dPeriod - 1, -1));
-  return { k, d, prevK, prevD };
-}
-
-function emaSlope(prices, period = 20, lookback = 4) {
-  if (prices.length < period + lookback + 2) return null;
-  const now = ema(prices, period);
-  const prev = ema(prices.slice(0, -lookback), period);
-  if (now == null || prev == null || prev === 0) return null;
-  return (now - prev) / prev;
+  const existing = (catalystWatch.fundamentalSignals || []).filter((item) => !/^No deep fundamental/.test(item.label));
+  const fundamentalScore = clamp(
+    (Number(catalystWatch.fundamentalScore) || 0) + signals.reduce((sum, item) => sum + item.score, 0),
+    -100,
+    100,
+  );
+  const combinedScore = clamp(
+    (Number(catalystWatch.sentimentScore) || 0) * 0.55
+    + (Number(catalystWatch.newsScore) || 0) * 0.25
+    + fundamentalScore * 0.2
+    + (Number(catalystWatch.trendBoost) || 0),
+    -100,
+    100,
+  );
+  return {
+    ...catalystWatch,
+    fundamentalScore: round(fundamentalScore, 1),
+    combinedScore: round(combinedScore, 1),
+    sentimentLabel: sentimentLabel(combinedScore),
+    fundamentalSignals: [...signals, ...existing].slice(0, 6),
+    fundamentalSnapshot: {
+      ...(catalystWatch.fundamentalSnapshot || {}),
+      volume24hUsd: catalystWatch.fundamentalSnapshot?.volume24hUsd ?? (Number.isFinite(volume24hUsd) ? round(volume24hUsd, 2) : null),
+      dexLiquidityUsd: Number.isFinite(liquidityUsd) ? round(liquidityUsd, 2) : null,
+      dexBuys24h: Number.isFinite(buys) ? buys : null,
+      dexSells24h: Number.isFinite(sells) ? sells : null,
+    },
+  };
 }
 
-function buildLiquidityHeatmap(ohlcv, currentPrice, bucketCount = 24) {
-  if (!ohlcv.length) return null;
-  const minPrice = Math.min(...ohlcv.map((c) => c.low));
-  const maxPrice = Math.max(...ohlcv.map((c) => c.high));
-  const range = maxPrice - minPrice;
-  if (range <= 0) return null;
-
-  const bucketSize = range / bucketCount;
-  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
-    low: minPrice + i * bucketSize,
-    high: minPrice + (i + 1) * bucketSize,
-    volume: 0,
-  }));
-
-  for (const candle of ohlcv) {
-    const start = clamp(Math.floor((candle.low - minPrice) / bucketSize), 0, bucketCount - 1);
-    const end = clamp(Math.floor((candle.high - minPrice) / bucketSize), 0, bucketCount - 1);
-    const spread = Math.max(1, end - start + 1);
-    const share = candle.volume / spread;
-    for (let i = start; i <= end; i++) buckets[i].volume += share;
-  }
-
-  const maxVolume = Math.max(...buckets.map((b) => b.volume), 1);
-  const nodes = buckets.map((b) => ({
-    low: round(b.low, 2),
-    high: round(b.high, 2),
-    center: round((b.low + b.high) / 2, 2),
-    intensity: round((b.volume / maxVolume) * 100, 1),
-    volume: round(b.volume, 2),
-  }));
+// ── Technical Indicators ────────────────────────────────────────────────────
 
-  const hotspots = [...nodes].sort((a, b) => b.volume - a.volume).slice(0, 8).sort((a, b) => a.center - b.center);
-  const supportZones = hotspots.filter((h) => h.center <= currentPrice).sort((a, b) => b.center - a.center).slice(0, 3);
-  const resistanceZones = hotspots.filter((h) => h.center >= currentPrice).sort((a, b) => a.center - b.center).slice(0, 3);
+// Hotspots are the volume profile's high-volume nodes. Zones are the nearest hotspots or
+// value-area edges on each side of price; an edge inside a hotspot adds nothing.
+function buildLiquidityHeatmap(ohlcv, currentPrice) {
+  const profile = buildVolumeProfile(ohlcv);
+  if (!profile) return null;
+
+  const hotspots = [...profile.highVolumeNodes].sort((a, b) => a.center - b.center);
+  const edges = [
+    { ...profile.valueAreaEdges.high, source: 'value-area high' },
+    { ...profile.valueAreaEdges.low, source: 'value-area low' },
+  ].filter((edge) => !hotspots.some((h) => edge.center >= h.low && edge.center <= h.high));
+  const zones = [...hotspots.map((h) => ({ ...h, source: 'volume node' })), ...edges];
+  const supportZones = zones.filter((h) => h.center <= currentPrice).sort((a, b) => b.center - a.center).slice(0, 3);
+  const resistanceZones = zones.filter((h) => h.center >= currentPrice).sort((a, b) => a.center - b.center).slice(0, 3);
 
   return {
-    minPrice: round(minPrice, 2),
-    maxPrice: round(maxPrice, 2),
-    bucketCount,
+    minPrice: profile.minPrice,
+    maxPrice: profile.maxPrice,
+    bucketCount: profile.bucketCount,
+    bucketSize: profile.bucketSize,
     hotspots,
     supportZones,
     resistanceZones,
+    profile: {
+      poc: profile.poc,
+      valueAreaHigh: profile.valueAreaHigh,
+      valueAreaLow: profile.valueAreaLow,
+      lowVolumeNodes: profile.lowVolumeNodes,
+    },
   };
 }
 
-function analyzeIndicators(ohlcv) {
-  const closes = ohlcv.map((c) => c.close);
-  const returns = closes.slice(1).map((price, i) => {
-    const prev = closes[i];
-    return prev ? (price - prev) / prev : 0;
-  });
-  const recentVols = ohlcv.slice(-20).map((c) => c.volume);
-  const latestVolume = ohlcv[ohlcv.length - 1]?.volume ?? 0;
-  const avgVolume = avg(recentVols) ?? 0;
-  const price = closes[closes.length - 1];
-  const rsiVal = rsi(closes);
-  const macdVal = macd(closes);
-  const bb = bollingerBands(closes);
-  const ema20 = ema(closes, 20);
-  const ema50 = ema(closes, 50);
-  const sma200 = closes.length >= 200 ? sma(closes, 200) : null;
-  const atr14 = atr(ohlcv, 14);
-  const adx14 = adx(ohlcv, 14);
-  const stoch = stochasticOscillator(ohlcv, 14, 3);
+// Break levels: high-volume nodes, the POC and the value-area edges, one label per price.
+function profileBreakLevels(liquidity) {
+  const levels = new Map();
+  (liquidity.hotspots || []).forEach((node) => levels.set(node.center, 'volume node'));
+  const profile = liquidity.profile;
+  if (profile?.poc) levels.set(profile.poc.center, 'point of control');
+  if (profile?.valueAreaHigh != null) levels.set(profile.valueAreaHigh, 'value-area high');
+  if (profile?.valueAreaLow != null) levels.set(profile.valueAreaLow, 'value-area low');
+  return [...levels].map(([price, label]) => ({ price, label }));
+}
+
+function analyzeIndicators(ohlcv, liquidity = null) {
+  const failedIndicators = [];
   return {
-    currentPrice: price,
-    rsi: rsiVal,
-    macd: macdVal,
-    bollingerBands: bb,
-    ema20,
-    ema50,
-    sma200,
-    atr14,
-    adx14,
-    stochastic: stoch,
-    ema20Slope: emaSlope(closes, 20, 4),
-    ema50Slope: emaSlope(closes, 50, 6),
-    momentum3: momentum(closes, 3),
-    momentum10: momentum(closes, 10),
-    volatility20: stdDev(returns.slice(-20)),
-    latestVolume,
-    avgVolume,
-    volumeRatio: avgVolume > 0 ? latestVolume / avgVolume : null,
+    currentPrice: ohlcv[ohlcv.length - 1]?.close,
+    ...computeIndicators(ohlcv, liquidity, failedIndicators),
+    skippedIndicators: findSkippedIndicators(ohlcv.length),
+    failedIndicators,
   };
 }
 
-function detectBreakoutFakeout(ohlcv, liquidity, volumeRatio, oiChangePct, atr14) {
+// flow: { cmf, obvSlope } from the volume-flow indicators; money leaving on an upside break (or
+// entering on a downside one) counts as a fakeout flag.
+function detectBreakoutFakeout(ohlcv, liquidity, volumeRatio, oiChangePct, atr14, flow = null) {
   if (!ohlcv.length || !liquidity) {
     return {
       pattern: 'NO_CLEAR_PATTERN',
       bias: 'NEUTRAL',
       confidence: 32,
       breakLevel: null,
+      breakLevelType: null,
       summary: 'No strong breakout/fakeout structure detected',
       metrics: null,
     };
@@ -1174,63 +1150,72 @@ function detectBreakoutFakeout(ohlcv, liquidity, volumeRatio, oiChangePct, atr14
   const last = ohlcv[ohlcv.length - 1];
   const prev = ohlcv[ohlcv.length - 2] || last;
   const currentPrice = last.close;
-  const resistance = liquidity.resistanceZones[0] || null;
-  const support = liquidity.supportZones[0] || null;
+  // Levels are taken relative to the previous close; zones relative to the current close can never be crossed by it.
+  const levels = profileBreakLevels(liquidity);
+  const resistance = levels.filter((level) => level.price >= prev.close).sort((a, b) => a.price - b.price)[0] || null;
+  const support = levels.filter((level) => level.price <= prev.close).sort((a, b) => b.price - a.price)[0] || null;
 
-  const range = Math.max(0.0000001, last.high - last.low);
-  const bodyRatio = Math.abs(last.close - last.open) / range;
-  const upperWickRatio = (last.high - Math.max(last.open, last.close)) / range;
-  const lowerWickRatio = (Math.min(last.open, last.close) - last.low) / range;
+  const { bodyRatio, upperWickRatio, lowerWickRatio } = candleAnatomy(last);
   const atrPct = atr14 != null ? atr14 / currentPrice : 0.005;
   const oiBoost = oiChangePct != null ? clamp(oiChangePct / 12, -1, 1) : 0;
   const volBoost = volumeRatio != null ? clamp((volumeRatio - 1) / 1.2, -1, 1) : 0;
+  const flowReadings = [
+    flow?.cmf != null ? clamp(flow.cmf / 0.15, -1, 1) : null,
+    flow?.obvSlope != null ? clamp(flow.obvSlope / 0.5, -1, 1) : null,
+  ].filter((value) => value != null);
+  const flowBias = flowReadings.length ? avg(flowReadings) : 0;
+  const flowMetrics = { cmf: round(flow?.cmf, 3), obvSlope: round(flow?.obvSlope, 2) };
 
-  const brokeUp = resistance && prev.close <= resistance.center && last.close > resistance.center;
-  const brokeDown = support && prev.close >= support.center && last.close < support.center;
+  const brokeUp = resistance && prev.close <= resistance.price && last.close > resistance.price;
+  const brokeDown = support && prev.close >= support.price && last.close < support.price;
 
   if (brokeUp) {
     const quality = (bodyRatio > 0.55 ? 1 : 0) + (upperWickRatio < 0.22 ? 1 : 0) + (volBoost > 0.15 ? 1 : 0) + (oiBoost > 0.1 ? 1 : 0);
-    const fakeoutFlags = (upperWickRatio > 0.38 ? 1 : 0) + (volBoost < -0.1 ? 1 : 0) + (oiBoost < -0.15 ? 1 : 0);
+    const fakeoutFlags = (upperWickRatio > 0.38 ? 1 : 0) + (volBoost < -0.1 ? 1 : 0) + (oiBoost < -0.15 ? 1 : 0) + (flowBias < -0.25 ? 1 : 0);
     if (quality >= 3 && fakeoutFlags <= 1) {
       return {
         pattern: 'BREAKOUT_UP',
         bias: 'BULLISH',
         confidence: round(clamp(56 + quality * 10 + volBoost * 8 + oiBoost * 8, 55, 95), 1),
-        breakLevel: resistance.center,
-        summary: `Clean upside breakout above ${resistance.center}`,
-        metrics: { bodyRatio: round(bodyRatio, 2), upperWickRatio: round(upperWickRatio, 2), volumeRatio: round(volumeRatio, 2), oiChangePct: round(oiChangePct, 2), atrPct: round(atrPct * 100, 2) },
+        breakLevel: resistance.price,
+        breakLevelType: resistance.label,
+        summary: `Clean upside breakout above ${resistance.label} ${resistance.price}`,
+        metrics: { bodyRatio: round(bodyRatio, 2), upperWickRatio: round(upperWickRatio, 2), volumeRatio: round(volumeRatio, 2), oiChangePct: round(oiChangePct, 2), atrPct: round(atrPct * 100, 2), ...flowMetrics },
       };
     }
     return {
       pattern: 'FAKEOUT_UP',
       bias: 'BEARISH',
       confidence: round(clamp(50 + fakeoutFlags * 12 - quality * 3, 45, 90), 1),
-      breakLevel: resistance.center,
-      summary: `Upside break above ${resistance.center} lacks follow-through`,
-      metrics: { bodyRatio: round(bodyRatio, 2), upperWickRatio: round(upperWickRatio, 2), volumeRatio: round(volumeRatio, 2), oiChangePct: round(oiChangePct, 2), atrPct: round(atrPct * 100, 2) },
+      breakLevel: resistance.price,
+      breakLevelType: resistance.label,
+      summary: `Upside break above ${resistance.label} ${resistance.price} lacks follow-through`,
+      metrics: { bodyRatio: round(bodyRatio, 2), upperWickRatio: round(upperWickRatio, 2), volumeRatio: round(volumeRatio, 2), oiChangePct: round(oiChangePct, 2), atrPct: round(atrPct * 100, 2), ...flowMetrics },
     };
   }
 
   if (brokeDown) {
     const quality = (bodyRatio > 0.55 ? 1 : 0) + (lowerWickRatio < 0.22 ? 1 : 0) + (volBoost > 0.15 ? 1 : 0) + (oiBoost > 0.1 ? 1 : 0);
-    const fakeoutFlags = (lowerWickRatio > 0.38 ? 1 : 0) + (volBoost < -0.1 ? 1 : 0) + (oiBoost < -0.15 ? 1 : 0);
+    const fakeoutFlags = (lowerWickRatio > 0.38 ? 1 : 0) + (volBoost < -0.1 ? 1 : 0) + (oiBoost < -0.15 ? 1 : 0) + (flowBias > 0.25 ? 1 : 0);
     if (quality >= 3 && fakeoutFlags <= 1) {
       return {
         pattern: 'BREAKOUT_DOWN',
         bias: 'BEARISH',
         confidence: round(clamp(56 + quality * 10 + volBoost * 8 + oiBoost * 8, 55, 95), 1),
-        breakLevel: support.center,
-        summary: `Clean downside breakout below ${support.center}`,
-        metrics: { bodyRatio: round(bodyRatio, 2), lowerWickRatio: round(lowerWickRatio, 2), volumeRatio: round(volumeRatio, 2), oiChangePct: round(oiChangePct, 2), atrPct: round(atrPct * 100, 2) },
+        breakLevel: support.price,
+        breakLevelType: support.label,
+        summary: `Clean downside breakout below ${support.label} ${support.price}`,
+        metrics: { bodyRatio: round(bodyRatio, 2), lowerWickRatio: round(lowerWickRatio, 2), volumeRatio: round(volumeRatio, 2), oiChangePct: round(oiChangePct, 2), atrPct: round(atrPct * 100, 2), ...flowMetrics },
       };
     }
     return {
       pattern: 'FAKEOUT_DOWN',
       bias: 'BULLISH',
       confidence: round(clamp(50 + fakeoutFlags * 12 - quality * 3, 45, 90), 1),
-      breakLevel: support.center,
-      summary: `Downside break below ${support.center} lacks follow-through`,
-      metrics: { bodyRatio: round(bodyRatio, 2), lowerWickRatio: round(lowerWickRatio, 2), volumeRatio: round(volumeRatio, 2), oiChangePct: round(oiChangePct, 2), atrPct: round(atrPct * 100, 2) },
+      breakLevel: support.price,
+      breakLevelType: support.label,
+      summary: `Downside break below ${support.label} ${support.price} lacks follow-through`,
+      metrics: { bodyRatio: round(bodyRatio, 2), lowerWickRatio: round(lowerWickRatio, 2), volumeRatio: round(volumeRatio, 2), oiChangePct: round(oiChangePct, 2), atrPct: round(atrPct * 100, 2), ...flowMetrics },
     };
   }
 
@@ -1239,8 +1224,9 @@ function detectBreakoutFakeout(ohlcv, liquidity, volumeRatio, oiChangePct, atr14
     bias: 'NEUTRAL',
     confidence: round(clamp(32 + (volBoost > 0 ? 8 : 0), 30, 55), 1),
     breakLevel: null,
+    breakLevelType: null,
     summary: 'No confirmed breakout/fakeout at key liquidity nodes',
-    metrics: { bodyRatio: round(bodyRatio, 2), volumeRatio: round(volumeRatio, 2), oiChangePct: round(oiChangePct, 2), atrPct: round(atrPct * 100, 2) },
+    metrics: { bodyRatio: round(bodyRatio, 2), volumeRatio: round(volumeRatio, 2), oiChangePct: round(oiChangePct, 2), atrPct: round(atrPct * 100, 2), ...flowMetrics },
   };
 }
 
@@ -1286,33 +1272,112 @@ function buildLiquidationRiskMeter(fundingRate, longShortRatio, oiChangePct, vol
 
 // ── Signal Scoring ──────────────────────────────────────────────────────────
 
+function formatMarketStructure(structure, regimeVote, decimals) {
+  if (!structure) return null;
+  const point = (swing) => (swing
+    ? { type: swing.type, label: swing.label, price: round(swing.price, decimals), timestamp: swing.timestamp }
+    : null);
+  return {
+    structure: structure.structure,
+    trend: structure.trend,
+    regimeVote,
+    swings: structure.swings.map(point),
+    lastEvent: structure.lastEvent ? { ...structure.lastEvent, level: round(structure.lastEvent.level, decimals) } : null,
+    swingHigh: point(structure.swingHigh),
+    swingLow: point(structure.swingLow),
+  };
+}
+
+function formatFibonacci(fibonacci, snapped, decimals) {
+  if (!fibonacci) return null;
+  const level = (item) => ({ ...item, price: round(item.price, decimals) });
+  return {
+    direction: fibonacci.direction,
+    leg: {
+      start: { ...fibonacci.leg.start, price: round(fibonacci.leg.start.price, decimals) },
+      end: { ...fibonacci.leg.end, price: round(fibonacci.leg.end.price, decimals) },
+    },
+    retracements: fibonacci.retracements.map(level),
+    extensions: fibonacci.extensions.map(level),
+    snapped,
+  };
+}
+
+// EMA spread + ADX regime. Swing structure is a second vote: below strong-trend ADX it vetoes a
+// trend it contradicts and confirms one the EMA spread only leans toward.
+function classifyRegime(ind, ohlcv) {
+  const { currentPrice: price, ema20, ema50, adx14 } = ind;
+  const trendBias = ema20 !== null && ema50 !== null ? (ema20 - ema50) / price : 0;
+  const trendStrength = adx14 ?? (Math.abs(trendBias) >= 0.012 ? 23 : 16);
+  const strongTrend = Math.abs(trendBias) >= 0.009 && trendStrength >= 22;
+  const weakTrend = trendStrength < 18;
+  const emaRegime = strongTrend
+    ? (trendBias > 0 ? 'uptrend' : 'downtrend')
+    : weakTrend
+      ? 'range'
+      : (Math.abs(trendBias) >= 0.009 ? (trendBias > 0 ? 'uptrend' : 'downtrend') : 'range');
+  const marketStructure = analyzeMarketStructure(ohlcv);
+  const structureVote = marketStructure?.structure === 'bullish' ? 1 : marketStructure?.structure === 'bearish' ? -1 : 0;
+  let regime = emaRegime;
+  if (!strongTrend && regime !== 'range' && structureVote === (regime === 'uptrend' ? -1 : 1)) {
+    regime = 'range';
+  } else if (regime === 'range' && !weakTrend && structureVote !== 0 && Math.abs(trendBias) >= 0.003 && Math.sign(trendBias) === structureVote) {
+    regime = structureVote > 0 ? 'uptrend' : 'downtrend';
+  }
+  return { trendBias, trendStrength, strongTrend, weakTrend, emaRegime, marketStructure, structureVote, regime };
+}
+
+// Regime, bias and key levels of one timeframe, as reported in multiTimeframe.timeframes.
+function describeTimeframe(timeframe, ind, regimeInfo, liquidity) {
+  const { regime, strongTrend, trendBias, trendStrength, marketStructure } = regimeInfo;
+  const decimals = priceDecimals(ind.currentPrice);
+  return {
+    timeframe,
+    regime,
+    bias: regime === 'uptrend' ? 'BULLISH' : regime === 'downtrend' ? 'BEARISH' : 'NEUTRAL',
+    strongTrend,
+    adx: round(trendStrength, 1),
+    trendBiasPct: round(trendBias * 100, 2),
+    structure: marketStructure?.structure || null,
+    price: round(ind.currentPrice, decimals),
+    keyLevels: {
+      support: liquidity?.supportZones[0]?.center ?? null,
+      resistance: liquidity?.resistanceZones[0]?.center ?? null,
+      poc: liquidity?.profile?.poc?.center ?? null,
+      swingHigh: round(marketStructure?.swingHigh?.price, decimals),
+      swingLow: round(marketStructure?.swingLow?.price, decimals),
+      ema50: round(ind.ema50, decimals),
+      sma200: round(ind.sma200, decimals),
+    },
+  };
+}
+
+// Summary of a higher timeframe for generateSignal's context.higherTimeframes.
+function summarizeTimeframe(ohlcv, timeframe) {
+  if (!ohlcv.length) return null;
+  const liquidity = buildLiquidityHeatmap(ohlcv, ohlcv[ohlcv.length - 1].close);
+  const ind = analyzeIndicators(ohlcv, liquidity);
+  return describeTimeframe(timeframe, ind, classifyRegime(ind, ohlcv), liquidity);
+}
+
 function generateSignal(ohlcv, signalType, riskTolerance, context = {}) {
   const closes = ohlcv.map((c) => c.close);
-  const ind = analyzeIndicators(ohlcv);
+  // Built first so indicators (anchored VWAP) can use the volume nodes.
+  const liquidity = buildLiquidityHeatmap(ohlcv, closes[closes.length - 1]);
+  const ind = analyzeIndicators(ohlcv, liquidity);
   const futuresContext = context.futuresContext || {};
-  const catalystWatch = context.catalystWatch || {};
+  const catalystWatch = withDexPoolContext(context.catalystWatch || {}, ohlcv.pool);
 
   const {
     currentPrice: price,
-    rsi: rsiVal,
-    macd: macdVal,
-    bollingerBands: bb,
-    ema20,
     ema50,
-    sma200,
     atr14,
     adx14,
-    stochastic,
-    ema20Slope,
-    ema50Slope,
-    momentum3,
     momentum10,
     volatility20,
     volumeRatio,
   } = ind;
-
-  const prevMacd = closes.length > 30 ? macd(closes.slice(0, -1)) : { line: null, signal: null, histogram: null };
-  const liquidity = buildLiquidityHeatmap(ohlcv, price, 24);
+  const decimals = priceDecimals(price);
 
   const categoryScores = {
     technical: { label: 'Technical Confluence', buy: 0, sell: 0 },
@@ -1322,6 +1387,7 @@ function generateSignal(ohlcv, signalType, riskTolerance, context = {}) {
     news: { label: 'News Flow', buy: 0, sell: 0 },
     fundamental: { label: 'Fundamental Quality', buy: 0, sell: 0 },
     catalyst: { label: 'Composite Catalyst', buy: 0, sell: 0 },
+    higherTimeframe: { label: 'Higher-Timeframe Trend', buy: 0, sell: 0 },
   };
 
   let buyScore = 0;
@@ -1348,141 +1414,72 @@ function generateSignal(ohlcv, signalType, riskTolerance, context = {}) {
     reasons.push(reason);
   };
 
-  const trendBias = ema20 !== null && ema50 !== null ? (ema20 - ema50) / price : 0;
-  const trendStrength = adx14 ?? (Math.abs(trendBias) >= 0.012 ? 23 : 16);
-  const strongTrend = Math.abs(trendBias) >= 0.009 && trendStrength >= 22;
-  const weakTrend = trendStrength < 18;
-  const regime = strongTrend
-    ? (trendBias > 0 ? 'uptrend' : 'downtrend')
-    : weakTrend
-      ? 'range'
-      : (Math.abs(trendBias) >= 0.009 ? (trendBias > 0 ? 'uptrend' : 'downtrend') : 'range');
+  const regimeInfo = classifyRegime(ind, ohlcv);
+  const {
+    trendBias,
+    trendStrength,
+    strongTrend,
+    weakTrend,
+    emaRegime,
+    marketStructure,
+    structureVote,
+    regime,
+  } = regimeInfo;
   reasons.push(
     regime === 'range'
       ? 'Market regime: ranging/choppy - mean reversion signals weighted higher'
       : `Market regime: ${regime} with ADX ${round(trendStrength, 1)} - trend-following signals weighted higher`,
   );
-
-  if (adx14 != null) {
-    if (adx14 >= 28) {
-      if (trendBias > 0) addBuy(1.0, `ADX(${adx14.toFixed(1)}) confirms strong bullish trend strength`, 'trend');
-      else if (trendBias < 0) addSell(1.0, `ADX(${adx14.toFixed(1)}) confirms strong bearish trend strength`, 'trend');
-    } else if (adx14 <= 17) {
-      reasons.push(`ADX(${adx14.toFixed(1)}) low - trend conviction weak, breakout risk lower`);
-      buyScore *= 0.95;
-      sellScore *= 0.95;
-      softPenalty += 0.08;
-    }
-  }
-
-  if (rsiVal !== null) {
-    if (regime === 'uptrend') {
-      if (rsiVal < 38) addBuy(1.6, `RSI(${rsiVal.toFixed(1)}) pullback in uptrend - dip-buy setup`, 'technical');
-      else if (rsiVal > 78) addSell(1.2, `RSI(${rsiVal.toFixed(1)}) extended in uptrend - exhaustion risk`, 'technical');
-      else reasons.push(`RSI(${rsiVal.toFixed(1)}) healthy for uptrend continuation`);
-    } else if (regime === 'downtrend') {
-      if (rsiVal > 62) addSell(1.6, `RSI(${rsiVal.toFixed(1)}) bounce in downtrend - sell-the-rally setup`, 'technical');
-      else if (rsiVal < 22) addBuy(1.1, `RSI(${rsiVal.toFixed(1)}) deeply oversold - relief bounce possible`, 'technical');
-      else reasons.push(`RSI(${rsiVal.toFixed(1)}) neutral within downtrend`);
-    } else if (rsiVal < 30) addBuy(1.8, `RSI(${rsiVal.toFixed(1)}) oversold in range - bullish mean reversion`, 'technical');
-    else if (rsiVal > 70) addSell(1.8, `RSI(${rsiVal.toFixed(1)}) overbought in range - bearish mean reversion`, 'technical');
-    else reasons.push(`RSI(${rsiVal.toFixed(1)}) neutral in ranging market`);
-  }
-
-  if (macdVal.histogram !== null) {
-    const histNow = macdVal.histogram;
-    const histPrev = prevMacd.histogram;
-    if (histNow > 0 && macdVal.line > macdVal.signal) {
-      if (histPrev !== null && histPrev <= 0) addBuy(1.9, 'MACD fresh bullish crossover - momentum shift upward', 'technical');
-      else if (histPrev !== null && histNow > histPrev) addBuy(1.4, 'MACD bullish momentum is strengthening', 'technical');
-      else addBuy(1.1, 'MACD remains bullish', 'technical');
-    } else if (histNow < 0 && macdVal.line < macdVal.signal) {
-      if (histPrev !== null && histPrev >= 0) addSell(1.9, 'MACD fresh bearish crossover - momentum shift downward', 'technical');
-      else if (histPrev !== null && histNow < histPrev) addSell(1.4, 'MACD bearish momentum is strengthening', 'technical');
-      else addSell(1.1, 'MACD remains bearish', 'technical');
-    }
-  }
-
-  if (bb.lower !== null && bb.middle !== null && bb.upper !== null) {
-    const bandWidth = (bb.upper - bb.lower) / bb.middle;
-    if (price <= bb.lower) addBuy(regime === 'downtrend' ? 0.8 : 1.4, `Price touched lower Bollinger Band ($${bb.lower.toFixed(2)})`, 'technical');
-    else if (price >= bb.upper) addSell(regime === 'uptrend' ? 0.8 : 1.4, `Price touched upper Bollinger Band ($${bb.upper.toFixed(2)})`, 'technical');
-    if (bandWidth < 0.04) {
-      reasons.push('Bollinger bandwidth compressed - breakout risk rising');
-      buyScore *= 0.95;
-      sellScore *= 0.95;
-      softPenalty += 0.08;
-    }
-  }
-
-  if (ema20 !== null && ema50 !== null) {
-    if (price > ema20 && ema20 > ema50) addBuy(1.5, 'Price above EMA20 > EMA50 - bullish structure intact', 'trend');
-    else if (price < ema20 && ema20 < ema50) addSell(1.5, 'Price below EMA20 < EMA50 - bearish structure intact', 'trend');
-    else reasons.push('EMA structure mixed - trend conviction reduced');
-  }
-
-  if (sma200 !== null) {
-    if (price > sma200) addBuy(0.7, 'Price above SMA200 - long-term support', 'trend');
-    else addSell(0.7, 'Price below SMA200 - long-term pressure', 'trend');
-  }
-
-  if (ema20Slope != null && ema50Slope != null) {
-    const slopeAlignedUp = ema20Slope > 0 && ema50Slope > 0;
-    const slopeAlignedDown = ema20Slope < 0 && ema50Slope < 0;
-    if (slopeAlignedUp) {
-      addBuy(0.8, `EMA slopes rising (20:${(ema20Slope * 100).toFixed(2)}%, 50:${(ema50Slope * 100).toFixed(2)}%)`, 'trend');
-    } else if (slopeAlignedDown) {
-      addSell(0.8, `EMA slopes falling (20:${(ema20Slope * 100).toFixed(2)}%, 50:${(ema50Slope * 100).toFixed(2)}%)`, 'trend');
-    } else {
-      reasons.push('EMA slope disagreement - trend acceleration unclear');
+  if (marketStructure) {
+    const event = marketStructure.lastEvent;
+    reasons.push(
+      `Market structure ${marketStructure.structure}${event
+        ? ` - last ${event.type} ${event.direction === 'bullish' ? 'up' : 'down'} through $${event.level.toFixed(decimals)} (${event.barsAgo} bars ago)`
+        : ''}${regime !== emaRegime ? `, regime vote moved ${emaRegime} to ${regime}` : ''}`,
+    );
+  }
+
+  // Pro-rated 24h volume moves with the whole day, not the bar, so volume evidence is left out.
+  const volumeApproximate = hasApproximateVolume(ohlcv);
+  if (volumeApproximate) reasons.push('Bar volume is a pro-rated 24h figure - volume, OBV, CMF and A/D evidence not scored');
+  const indicatorContext = { price, regime, trendBias, trendStrength, indicators: ind, closes, ohlcv, volumeApproximate };
+  indicatorEffects(ind, indicatorContext, ind.failedIndicators).forEach((effect) => {
+    if (effect.side === 'buy') addBuy(effect.points, effect.reason, effect.category);
+    else if (effect.side === 'sell') addSell(effect.points, effect.reason, effect.category);
+    else if (effect.reason) reasons.push(effect.reason);
+    if (effect.boostLeader && buyScore > sellScore) {
+      buyScore += effect.boostLeader;
+      addContribution('buy', effect.category, effect.boostLeader);
+    } else if (effect.boostLeader && sellScore > buyScore) {
+      sellScore += effect.boostLeader;
+      addContribution('sell', effect.category, effect.boostLeader);
     }
-  }
-
-  if (momentum3 !== null && momentum10 !== null) {
-    if (momentum3 > 0 && momentum10 > 0) addBuy(1.1, 'Short and medium momentum aligned upward', 'technical');
-    else if (momentum3 < 0 && momentum10 < 0) addSell(1.1, 'Short and medium momentum aligned downward', 'technical');
-    else reasons.push('Momentum mixed across windows - transition risk');
-  }
-
-  if (stochastic?.k != null && stochastic?.d != null) {
-    const k = stochastic.k;
-    const d = stochastic.d;
-    const bullCross = stochastic.prevK != null && stochastic.prevD != null && stochastic.prevK <= stochastic.prevD && k > d;
-    const bearCross = stochastic.prevK != null && stochastic.prevD != null && stochastic.prevK >= stochastic.prevD && k < d;
-
-    if (k <= 20 && bullCross) {
-      addBuy(1.1, `Stochastic bullish cross in oversold zone (K:${k.toFixed(1)} D:${d.toFixed(1)})`, 'technical');
-    } else if (k >= 80 && bearCross) {
-      addSell(1.1, `Stochastic bearish cross in overbought zone (K:${k.toFixed(1)} D:${d.toFixed(1)})`, 'technical');
-    } else if (k < 15 && regime !== 'downtrend') {
-      addBuy(0.5, `Stochastic deeply oversold (K:${k.toFixed(1)})`, 'technical');
-    } else if (k > 85 && regime !== 'uptrend') {
-      addSell(0.5, `Stochastic deeply overbought (K:${k.toFixed(1)})`, 'technical');
+    if (effect.dampen) {
+      buyScore *= effect.dampen;
+      sellScore *= effect.dampen;
     }
-  }
-
-  if (volumeRatio !== null) {
-    if (volumeRatio > 1.6) {
-      reasons.push(`Volume spike (${volumeRatio.toFixed(2)}x avg) - stronger move conviction`);
-      if (buyScore > sellScore) {
-        buyScore += 0.6;
-        addContribution('buy', 'technical', 0.6);
-      } else if (sellScore > buyScore) {
-        sellScore += 0.6;
-        addContribution('sell', 'technical', 0.6);
-      }
-    } else if (volumeRatio < 0.75) {
-      reasons.push(`Volume below average (${volumeRatio.toFixed(2)}x) - weaker breakout quality`);
-      buyScore *= 0.93;
-      sellScore *= 0.93;
-      softPenalty += 0.1;
-    }
-  }
+    if (effect.softPenalty) softPenalty += effect.softPenalty;
+  });
+  Object.entries(CATEGORY_CAPS).forEach(([category, cap]) => {
+    const scores = categoryScores[category];
+    const excess = { buy: scores.buy - cap, sell: scores.sell - cap };
+    if (excess.buy > 0) buyScore -= excess.buy;
+    if (excess.sell > 0) sellScore -= excess.sell;
+    ['buy', 'sell'].filter((side) => excess[side] > 0).forEach((side) => {
+      reasons.push(`${scores.label} ${side} evidence capped at ${cap} points (${round(scores[side], 2)} raw)`);
+      scores[side] = cap;
+    });
+  });
 
-  if (volumeRatio != null && adx14 != null && adx14 >= 25 && volumeRatio >= 1.2) {
-    if (trendBias > 0) addBuy(0.4, 'Volume + ADX confirm bullish trend continuation', 'trend');
-    if (trendBias < 0) addSell(0.4, 'Volume + ADX confirm bearish trend continuation', 'trend');
-  }
+  // Higher-timeframe summaries (see summarizeTimeframe), nearest first; the next one counts less.
+  const higherTimeframes = Array.isArray(context.higherTimeframes) ? context.higherTimeframes.filter(Boolean) : [];
+  higherTimeframes.forEach((htf, i) => {
+    const points = (htf.strongTrend ? 1.0 : 0.6) * (i === 0 ? 1 : 0.7);
+    const label = `${htf.timeframe} ${htf.strongTrend ? 'strong ' : ''}${htf.regime}`;
+    if (htf.bias === 'BULLISH') addBuy(points, `Higher timeframe ${label} backs longs`, 'higherTimeframe');
+    else if (htf.bias === 'BEARISH') addSell(points, `Higher timeframe ${label} backs shorts`, 'higherTimeframe');
+    else reasons.push(`Higher timeframe ${htf.timeframe} ranging - no trend to align with`);
+  });
 
   if (liquidity) {
     const support = liquidity.supportZones[0];
@@ -1514,11 +1511,13 @@ function generateSignal(ohlcv, signalType, riskTolerance, context = {}) {
     else if (longShort.ratio < 0.75) addBuy(0.7, `Long/Short ratio ${longShort.ratio.toFixed(2)} indicates short crowding`, 'derivatives');
   }
 
-  if (oi.changePct != null) {
-    if (oi.changePct > 5 && momentum10 != null && momentum10 > 0) addBuy(0.8, `Open interest rising ${oi.changePct.toFixed(1)}% with bullish momentum`, 'derivatives');
-    else if (oi.changePct > 5 && momentum10 != null && momentum10 < 0) addSell(0.8, `Open interest rising ${oi.changePct.toFixed(1)}% with bearish momentum`, 'derivatives');
-    else if (oi.changePct < -8) {
-      reasons.push(`Open interest dropped ${oi.changePct.toFixed(1)}% - deleveraging phase`);
+  // The spot-volume proxy is reported but never scored as open interest (rules, fakeout, leverage meter).
+  const oiChangePct = oi.source === 'perp_api' ? oi.changePct : null;
+  if (oiChangePct != null) {
+    if (oiChangePct > 5 && momentum10 != null && momentum10 > 0) addBuy(0.8, `Open interest rising ${oiChangePct.toFixed(1)}% with bullish momentum`, 'derivatives');
+    else if (oiChangePct > 5 && momentum10 != null && momentum10 < 0) addSell(0.8, `Open interest rising ${oiChangePct.toFixed(1)}% with bearish momentum`, 'derivatives');
+    else if (oiChangePct < -8) {
+      reasons.push(`Open interest dropped ${oiChangePct.toFixed(1)}% - deleveraging phase`);
       buyScore *= 0.96;
       sellScore *= 0.96;
       softPenalty += 0.06;
@@ -1584,7 +1583,10 @@ function generateSignal(ohlcv, signalType, riskTolerance, context = {}) {
     else addBuy(0.2, `Asset trending #${catalystWatch.symbolTrendingRank} but momentum still mixed`, 'catalyst');
   }
 
-  const breakoutFakeoutDetector = detectBreakoutFakeout(ohlcv, liquidity, volumeRatio, oi.changePct, atr14);
+  const breakoutFakeoutDetector = detectBreakoutFakeout(ohlcv, liquidity, volumeApproximate ? null : volumeRatio, oiChangePct, atr14, volumeApproximate ? null : {
+    cmf: ind.cmf,
+    obvSlope: ind.obv?.slope ?? null,
+  });
   if (breakoutFakeoutDetector.pattern === 'BREAKOUT_UP') addBuy(1.1, `${breakoutFakeoutDetector.summary} - breakout confirmation`, 'liquidity');
   if (breakoutFakeoutDetector.pattern === 'BREAKOUT_DOWN') addSell(1.1, `${breakoutFakeoutDetector.summary} - breakout confirmation`, 'liquidity');
   if (breakoutFakeoutDetector.pattern === 'FAKEOUT_UP') addSell(0.9, `${breakoutFakeoutDetector.summary} - possible bull trap`, 'liquidity');
@@ -1593,7 +1595,7 @@ function generateSignal(ohlcv, signalType, riskTolerance, context = {}) {
   const liquidationRiskMeter = buildLiquidationRiskMeter(
     funding.current,
     longShort.ratio,
-    oi.changePct,
+    oiChangePct,
     volatility20,
     catalystScore,
   );
@@ -1627,6 +1629,24 @@ function generateSignal(ohlcv, signalType, riskTolerance, context = {}) {
   else if (sellScore >= threshold && sellScore > buyScore && edge >= 0.9) signal = 'SELL';
   else reasons.push('Insufficient directional edge after confluence check - wait for confirmation');
 
+  // A signal against every higher timeframe is vetoed when one of them trends strongly; otherwise
+  // each opposing timeframe discounts confidence.
+  const opposingTimeframes = higherTimeframes.filter((htf) => (signal === 'BUY' && htf.bias === 'BEARISH') || (signal === 'SELL' && htf.bias === 'BULLISH'));
+  let higherTimeframeFilter = { action: higherTimeframes.length ? 'pass' : 'none', opposing: [], confidenceMultiplier: 1 };
+  if (opposingTimeframes.length) {
+    const opposing = opposingTimeframes.map((htf) => htf.timeframe);
+    const detail = opposingTimeframes.map((htf) => `${htf.timeframe} ${htf.regime}`).join(', ');
+    if (opposingTimeframes.length === higherTimeframes.length && opposingTimeframes.some((htf) => htf.strongTrend)) {
+      reasons.push(`Higher-timeframe filter: ${signal} vetoed against ${detail}`);
+      higherTimeframeFilter = { action: 'veto', vetoedSignal: signal, opposing, confidenceMultiplier: 1 };
+      signal = 'HOLD';
+    } else {
+      const confidenceMultiplier = 0.85 ** opposingTimeframes.length;
+      reasons.push(`Higher-timeframe filter: ${signal} fights ${detail} - confidence discounted`);
+      higherTimeframeFilter = { action: 'discount', opposing, confidenceMultiplier: round(confidenceMultiplier, 3) };
+    }
+  }
+
   const dominantSide = signal === 'BUY' ? 'buy' : signal === 'SELL' ? 'sell' : (buyScore >= sellScore ? 'buy' : 'sell');
   const opposingSide = dominantSide === 'buy' ? 'sell' : 'buy';
   const dominantEvidence = signal === 'BUY' ? buyEvidence : signal === 'SELL' ? sellEvidence : Math.max(buyEvidence, sellEvidence);
@@ -1670,7 +1690,7 @@ function generateSignal(ohlcv, signalType, riskTolerance, context = {}) {
 
   let confidence;
   if (signal === 'HOLD') confidence = clamp(35 + edge * 7 + qualityScore * 0.2, 40, 68);
-  else confidence = clamp(qualityScore * 0.72 + edge * 8.5, 55, 97);
+  else confidence = clamp((qualityScore * 0.72 + edge * 8.5) * higherTimeframeFilter.confidenceMultiplier, 55, 97);
 
   const targets = {
     scalp: [0.01, 0.02, 0.005],
@@ -1694,18 +1714,48 @@ function generateSignal(ohlcv, signalType, riskTolerance, context = {}) {
   const atrPct = atr14 !== null ? atr14 / price : null;
   const entryPadPct = clamp(atrPct !== null ? atrPct * 0.3 : 0.002, 0.0015, 0.008);
   const dynamicSlPct = clamp(atrPct !== null ? Math.max(slPct, atrPct * 1.1) : slPct, slPct * 0.85, slPct * 1.9);
-  const entryLow = round(price * (1 - entryPadPct), 2);
-  const entryHigh = round(price * (1 + entryPadPct), 2);
-  const tp1 = round(price * (1 + dir * tp1Pct), 2);
-  const tp2 = round(price * (1 + dir * tp2Pct), 2);
-  const sl = round(price * (1 - dir * dynamicSlPct), 2);
+
+  const vwapLevels = ind.vwap ? [ind.vwap.session, ...Object.values(ind.vwap.anchored)].filter(Boolean) : [];
+  const fibonacci = buildFibonacci(ohlcv, marketStructure, [
+    ...(liquidity?.hotspots || []).map((node) => ({ source: 'liquidity', price: node.center })),
+    ...vwapLevels.map((item) => ({ source: 'vwap', price: item.vwap })),
+    { source: 'ema50', price: ema50 },
+    { source: 'sma200', price: ind.sma200 },
+  ], Math.max(price * 0.003, (atr14 ?? 0) * 0.25));
+  const fibSnapped = { entry: null, takeProfit1: null, takeProfit2: null };
+  let entryCenter = price;
+  // Optional: move targets and the entry zone onto nearby confluent Fib levels, keeping TP1 < TP2.
+  if (context.fibSnap && fibonacci && signal !== 'HOLD') {
+    const tp1Level = nearestConfluentLevel(fibonacci, price * (1 + dir * tp1Pct), price * tp1Pct * 0.35,
+      (level) => dir * (level.price - price) > price * entryPadPct);
+    if (tp1Level) {
+      tp1Pct = Math.abs(tp1Level.price - price) / price;
+      fibSnapped.takeProfit1 = `${tp1Level.kind} ${tp1Level.ratio}`;
+    }
+    const tp2Level = nearestConfluentLevel(fibonacci, price * (1 + dir * tp2Pct), price * tp2Pct * 0.35,
+      (level) => dir * (level.price - price) > price * tp1Pct);
+    if (tp2Level) {
+      tp2Pct = Math.abs(tp2Level.price - price) / price;
+      fibSnapped.takeProfit2 = `${tp2Level.kind} ${tp2Level.ratio}`;
+    }
+    const entryLevel = nearestConfluentLevel(fibonacci, price, price * entryPadPct * 2, (level) => level.kind === 'retracement');
+    if (entryLevel) {
+      entryCenter = entryLevel.price;
+      fibSnapped.entry = `${entryLevel.kind} ${entryLevel.ratio}`;
+    }
+  }
+  const entryLow = round(entryCenter * (1 - entryPadPct), decimals);
+  const entryHigh = round(entryCenter * (1 + entryPadPct), decimals);
+  const tp1 = round(price * (1 + dir * tp1Pct), decimals);
+  const tp2 = round(price * (1 + dir * tp2Pct), decimals);
+  const sl = round(price * (1 - dir * dynamicSlPct), decimals);
   const riskReward = signal !== 'HOLD' ? round((Math.abs(tp2 - price) / Math.abs(price - sl)) || 0, 2) : 0;
 
   return {
     signal,
     confidence: round(confidence, 1),
     marketType: 'coingecko_spot_proxy',
-    currentPrice: round(price, 2),
+    currentPrice: round(price, decimals),
     entryRange: { low: entryLow, high: entryHigh },
     takeProfit1: tp1,
     takeProfit1Pct: round(dir * tp1Pct * 100, 2),
@@ -1725,34 +1775,25 @@ function generateSignal(ohlcv, signalType, riskTolerance, context = {}) {
     },
     liquidationRiskMeter,
     breakoutFakeoutDetector,
-    indicators: {
-      rsi: round(rsiVal, 2),
-      macd: { line: round(macdVal.line, 4), signal: round(macdVal.signal, 4), histogram: round(macdVal.histogram, 4) },
-      bollingerBands: { upper: round(bb.upper, 2), middle: round(bb.middle, 2), lower: round(bb.lower, 2) },
-      ema20: round(ema20, 2),
-      ema50: round(ema50, 2),
-      sma200: round(sma200, 2),
-      atr14: round(atr14, 4),
-      adx14: round(adx14, 2),
-      stochastic: {
-        k: round(stochastic?.k, 2),
-        d: round(stochastic?.d, 2),
-      },
-      ema20SlopePct: ema20Slope != null ? round(ema20Slope * 100, 2) : null,
-      ema50SlopePct: ema50Slope != null ? round(ema50Slope * 100, 2) : null,
-      momentum3: momentum3 != null ? round(momentum3 * 100, 2) : null,
-      momentum10: momentum10 != null ? round(momentum10 * 100, 2) : null,
-      volatility20: volatility20 != null ? round(volatility20 * 100, 2) : null,
-      volumeRatio: round(volumeRatio, 2),
-    },
+    marketStructure: formatMarketStructure(marketStructure, structureVote, decimals),
+    fibonacci: formatFibonacci(fibonacci, context.fibSnap ? fibSnapped : null, decimals),
+    multiTimeframe: higherTimeframes.length
+      ? {
+        timeframes: [describeTimeframe(context.timeframe || null, ind, regimeInfo, liquidity), ...higherTimeframes],
+        filter: higherTimeframeFilter,
+      }
+      : null,
+    indicators: formatIndicators(ind),
     futuresContext: {
       fundingRate: {
         current: round(funding.current, 6),
         annualizedPct: round(funding.annualizedPct, 2),
         nextFundingTime: funding.nextFundingTime || null,
+        source: funding.source || null,
       },
-      openInterest: { latest: round(oi.latest, 2), changePct: round(oi.changePct, 2) },
-      longShortRatio: { ratio: round(longShort.ratio, 2), changePct: round(longShort.changePct, 2) },
+      openInterest: { latest: round(oi.latest, 2), changePct: round(oi.changePct, 2), source: oi.source || null },
+      longShortRatio: { ratio: round(longShort.ratio, 2), changePct: round(longShort.changePct, 2), source: longShort.source || null },
+      source: futuresContext.source || null,
     },
     catalystWatch: {
       sentimentScore: round(catalystWatch.sentimentScore, 1),
@@ -1772,15 +1813,35 @@ function generateSignal(ohlcv, signalType, riskTolerance, context = {}) {
     liquidityHeatmap: liquidity,
     timestamp: new Date().toISOString(),
     dataSource: ohlcv.dataSource || 'live',
+    dexPool: ohlcv.pool || null,
+    scenario: ohlcv.scenario || null,
+    candleProvenance: ohlcv.provenance || null,
+    dataCoverage: {
+      candles: ohlcv.length,
+      longestLookback: longestLookback(),
+      skippedIndicators: ind.skippedIndicators,
+      failedIndicators: ind.failedIndicators,
+      historyCap: ohlcv.historyCap || null,
+      volumeApproximate,
+    },
   };
 }
 
 module.exports = {
   normalizeTradingSymbol,
+  historyRequirement,
+  resolveSymbol,
+  resolveContract,
   searchCoins,
   fetchOHLCV,
+  fetchSyntheticOHLCV,
   fetchFuturesContext,
   fetchCatalystWatch,
   generateSignal,
+  registerIndicator,
+  listIndicators,
+  indicatorSeries,
+  summarizeTimeframe,
   SYMBOL_MAP,
+  SCENARIO_NAMES,
 };
@@ -0,0 +1,171 @@
+/**
+ * Local + Upstash read-through cache
+ *
+ * Backs /api/coins/search and the signal pipeline: an entry is fresh until expiresAt and may be
+ * served as a stale fallback until staleUntil; concurrent misses for one key share a single loader
+ * call. Status values are reported in the X-Cache header:
+ * HIT_LOCAL | HIT_REMOTE | MISS | REFRESHED | STALE_FALLBACK.
+ */
+const { redis } = require('./redis');
+
+const REMOTE_CACHE_PREFIX = 'data-cache:v1:';
+const MAX_CACHE_ITEMS = 400;
+const INFLIGHT = new Map();
+
+function readNumberEnv(name, fallback, min, max) {
+  const parsed = Number(process.env[name]);
+  if (!Number.isFinite(parsed)) return fallback;
+  return Math.max(min, Math.min(max, parsed));
+}
+
+// TTLs read from `${envPrefix}_CACHE_TTL_MS` / `${envPrefix}_CACHE_STALE_TTL_MS`, the fresh one no lower than
+// defaults.minTtlMs (1s). Upstash keys are `${defaults.remotePrefix}${key}`, by default `data-cache:v1:${name}:${key}`.
+function defineCache(name, envPrefix, defaults) {
+  const ttlMs = readNumberEnv(`${envPrefix}_CACHE_TTL_MS`, defaults.ttlMs, defaults.minTtlMs || 1000, 24 * 60 * 60 * 1000);
+  return {
+    name,
+    remotePrefix: defaults.remotePrefix || `${REMOTE_CACHE_PREFIX}${name}:`,
+    ttlMs,
+    staleTtlMs: readNumberEnv(`${envPrefix}_CACHE_STALE_TTL_MS`, defaults.staleTtlMs, ttlMs, 7 * 24 * 60 * 60 * 1000),
+    entries: new Map(),
+  };
+}
+
+function sanitizeCacheEntry(raw, cache) {
+  if (!raw) return null;
+  let item = raw;
+  if (typeof item === 'string') {
+    try {
+      item = JSON.parse(item);
+    } catch {
+      return null;
+    }
+  }
+  if (!item || item.value == null) return null;
+  const createdAt = Number(item.createdAt) || Date.now();
+  return {
+    value: item.value,
+    createdAt,
+    expiresAt: Number(item.expiresAt) || createdAt + cache.ttlMs,
+    staleUntil: Number(item.staleUntil) || createdAt + cache.staleTtlMs,
+  };
+}
+
+function getLocalCacheEntry(cache, key) {
+  const item = cache.entries.get(key);
+  if (!item) return null;
+  if (item.staleUntil <= Date.now()) {
+    cache.entries.delete(key);
+    return null;
+  }
+  return item;
+}
+
+function setLocalCacheEntry(cache, key, entry) {
+  cache.entries.delete(key);
+  cache.entries.set(key, entry);
+  if (cache.entries.size > MAX_CACHE_ITEMS) {
+    const oldest = cache.entries.keys().next().value;
+    if (oldest) cache.entries.delete(oldest);
+  }
+}
+
+async function getDistributedCacheEntry(cache, key) {
+  if (!redis) return null;
+  try {
+    const item = sanitizeCacheEntry(await redis.get(`${cache.remotePrefix}${key}`), cache);
+    if (!item || item.staleUntil <= Date.now()) return null;
+    return item;
+  } catch {
+    return null;
+  }
+}
+
+async function setDistributedCacheEntry(cache, key, entry) {
+  if (!redis) return;
+  try {
+    const ttlSeconds = Math.max(60, Math.ceil((entry.staleUntil - Date.now()) / 1000));
+    await redis.set(`${cache.remotePrefix}${key}`, entry, { ex: ttlSeconds });
+  } catch {}
+}
+
+function buildCacheEntry(cache, value, ttlMs) {
+  const now = Date.now();
+  return {
+    value,
+    createdAt: now,
+    expiresAt: now + (ttlMs || cache.ttlMs),
+    staleUntil: now + Math.max(ttlMs || 0, cache.staleTtlMs),
+  };
+}
+
+function pickStaleFallback(primary, secondary) {
+  const now = Date.now();
+  const candidates = [primary, secondary].filter((item) => item && item.staleUntil > now);
+  if (!candidates.length) return null;
+  return candidates.sort((a, b) => b.createdAt - a.createdAt)[0];
+}
+
+function loadWithDedup(key, loader) {
+  if (INFLIGHT.has(key)) return INFLIGHT.get(key);
+  const task = (async () => {
+    try {
+      return await loader();
+    } finally {
+      INFLIGHT.delete(key);
+    }
+  })();
+  INFLIGHT.set(key, task);
+  return task;
+}
+
+function hit(entry, status) {
+  return { value: entry.value, status, createdAt: entry.createdAt, stale: status === 'STALE_FALLBACK' };
+}
+
+/**
+ * options.isUsable(value): results failing it are never stored and fall back to stale data.
+ * options.accept(value): cached values failing it are treated as absent (e.g. too few candles).
+ * options.ttlMs overrides the fresh TTL (e.g. per timeframe); options.allowStale=false disables the fallback.
+ * Resolves to { value, status, createdAt, stale }; rejects only when the loader fails with nothing stale.
+ */
+async function readThrough(cache, key, loader, options = {}) {
+  const isUsable = options.isUsable || ((value) => value != null);
+  const accept = options.accept || (() => true);
+  const accepted = (entry) => (entry && accept(entry.value) ? entry : null);
+  const allowStale = options.allowStale !== false;
+  const fullKey = `${cache.name}:${key}`;
+  const now = Date.now();
+
+  const localCached = accepted(getLocalCacheEntry(cache, fullKey));
+  if (localCached && localCached.expiresAt > now) return hit(localCached, 'HIT_LOCAL');
+
+  const remoteCached = accepted(await getDistributedCacheEntry(cache, key));
+  if (remoteCached && remoteCached.expiresAt > Date.now()) {
+    setLocalCacheEntry(cache, fullKey, remoteCached);
+    return hit(remoteCached, 'HIT_REMOTE');
+  }
+
+  const staleFallback = allowStale ? pickStaleFallback(localCached, remoteCached) : null;
+  let value;
+  try {
+    value = await loadWithDedup(fullKey, loader);
+  } catch (err) {
+    if (staleFallback) return hit(staleFallback, 'STALE_FALLBACK');
+    throw err;
+  }
+  if (!isUsable(value)) {
+    if (staleFallback) return hit(staleFallback, 'STALE_FALLBACK');
+    return { value, status: 'MISS', createdAt: Date.now(), stale: false };
+  }
+
+  const nextCache = buildCacheEntry(cache, value, options.ttlMs);
+  setLocalCacheEntry(cache, fullKey, nextCache);
+  await setDistributedCacheEntry(cache, key, nextCache);
+  return { value, status: staleFallback ? 'REFRESHED' : 'MISS', createdAt: nextCache.createdAt, stale: false };
+}
+
+module.exports = {
+  defineCache,
+  readThrough,
+};
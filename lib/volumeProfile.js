@@ -0,0 +1,155 @@
+/**
+ * Volume profile
+ *
+ * Distributes each candle's volume over the price buckets its range covers (in proportion to the
+ * overlap), with older candles decayed by a half-life so stale congestion counts less. Buckets
+ * are sized from ATR, so the profile resolution follows volatility instead of a fixed count.
+ * Returns the point of control, the 70% value area, and high/low-volume nodes.
+ */
+const { createAtr } = require('./incremental');
+const { priceDecimals } = require('./indicators');
+
+const BUCKET_ATR_FRACTION = 0.35;
+const MIN_BUCKETS = 16;
+const MAX_BUCKETS = 80;
+const RECENCY_HALF_LIFE_BARS = 60;
+const VALUE_AREA_SHARE = 0.7;
+const MAX_HIGH_VOLUME_NODES = 8;
+const MAX_LOW_VOLUME_NODES = 5;
+// A high-volume node widens into a neighbouring bucket holding at least this share of its peak.
+const NODE_SPREAD_SHARE = 0.7;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function round(value, digits = 2) {
+  if (value == null || Number.isNaN(value)) return null;
+  return +value.toFixed(digits);
+}
+
+function fillBuckets(ohlcv, minPrice, bucketSize, bucketCount, halfLife) {
+  const buckets = Array.from({ length: bucketCount }, (_, i) => ({
+    low: minPrice + i * bucketSize,
+    high: minPrice + (i + 1) * bucketSize,
+    volume: 0,
+    weighted: 0,
+  }));
+  ohlcv.forEach((candle, i) => {
+    const weight = 0.5 ** ((ohlcv.length - 1 - i) / halfLife);
+    const span = candle.high - candle.low;
+    const start = clamp(Math.floor((candle.low - minPrice) / bucketSize), 0, bucketCount - 1);
+    const end = clamp(Math.floor((candle.high - minPrice) / bucketSize), 0, bucketCount - 1);
+    for (let b = start; b <= end; b++) {
+      const overlap = Math.min(candle.high, buckets[b].high) - Math.max(candle.low, buckets[b].low);
+      const share = span > 0 ? Math.max(0, overlap) / span : 1 / (end - start + 1);
+      buckets[b].volume += (candle.volume || 0) * share;
+      buckets[b].weighted += (candle.volume || 0) * share * weight;
+    }
+  });
+  return buckets;
+}
+
+// Grow from the POC toward the heavier neighbour until the area holds VALUE_AREA_SHARE of volume.
+function findValueArea(buckets, poc) {
+  const total = buckets.reduce((sum, b) => sum + b.weighted, 0);
+  let lo = poc;
+  let hi = poc;
+  let covered = buckets[poc].weighted;
+  while (covered < total * VALUE_AREA_SHARE && (lo > 0 || hi < buckets.length - 1)) {
+    const below = lo > 0 ? buckets[lo - 1].weighted : -1;
+    const above = hi < buckets.length - 1 ? buckets[hi + 1].weighted : -1;
+    if (above >= below) {
+      hi += 1;
+      covered += above;
+    } else {
+      lo -= 1;
+      covered += below;
+    }
+  }
+  return { lo, hi };
+}
+
+function findNodes(buckets) {
+  const weights = buckets.map((b) => b.weighted);
+  const mean = weights.reduce((sum, w) => sum + w, 0) / weights.length;
+  const high = [];
+  const low = [];
+  weights.forEach((w, i) => {
+    const left = i > 0 ? weights[i - 1] : 0;
+    const right = i < weights.length - 1 ? weights[i + 1] : 0;
+    if (w >= left && w > right && w >= mean) {
+      const from = i > 0 && left >= w * NODE_SPREAD_SHARE ? i - 1 : i;
+      const to = i < weights.length - 1 && right >= w * NODE_SPREAD_SHARE ? i + 1 : i;
+      high.push({ peak: i, from, to });
+    } else if (i > 0 && i < weights.length - 1 && w < left && w <= right && w <= mean * 0.5) {
+      low.push({ peak: i, from: i, to: i });
+    }
+  });
+  return { high, low };
+}
+
+/**
+ * Returns { minPrice, maxPrice, bucketSize, bucketCount, poc, valueAreaHigh, valueAreaLow,
+ * valueAreaEdges: { high, low }, highVolumeNodes, lowVolumeNodes } or null. Nodes are { low, high,
+ * center, volume, rawVolume, intensity }, where volume is recency-weighted and intensity is
+ * relative to the POC; the value-area edges are the outermost buckets inside the value area.
+ * Prices keep priceDecimals(minPrice) digits, so break levels compare as finely as the candles.
+ */
+function buildVolumeProfile(ohlcv, options = {}) {
+  if (!ohlcv.length) return null;
+  const minPrice = Math.min(...ohlcv.map((c) => c.low));
+  const maxPrice = Math.max(...ohlcv.map((c) => c.high));
+  const range = maxPrice - minPrice;
+  if (range <= 0) return null;
+
+  const atr = createAtr(14).seed(ohlcv.slice(-15)).value();
+  const targetSize = atr ? atr * BUCKET_ATR_FRACTION : range / 24;
+  const bucketCount = clamp(Math.round(range / targetSize), MIN_BUCKETS, MAX_BUCKETS);
+  const bucketSize = range / bucketCount;
+  const buckets = fillBuckets(ohlcv, minPrice, bucketSize, bucketCount, options.halfLife || RECENCY_HALF_LIFE_BARS);
+
+  const poc = buckets.reduce((best, b, i) => (b.weighted > buckets[best].weighted ? i : best), 0);
+  const maxWeighted = buckets[poc].weighted || 1;
+  const decimals = priceDecimals(minPrice);
+  const toNode = ({ from, to }) => {
+    const group = buckets.slice(from, to + 1);
+    const weighted = group.reduce((sum, b) => sum + b.weighted, 0);
+    return {
+      low: round(group[0].low, decimals),
+      high: round(group[group.length - 1].high, decimals),
+      center: round((group[0].low + group[group.length - 1].high) / 2, decimals),
+      volume: round(weighted, 2),
+      rawVolume: round(group.reduce((sum, b) => sum + b.volume, 0), 2),
+      intensity: round((Math.max(...group.map((b) => b.weighted)) / maxWeighted) * 100, 1),
+    };
+  };
+  const valueArea = findValueArea(buckets, poc);
+  const nodes = findNodes(buckets);
+
+  return {
+    minPrice: round(minPrice, decimals),
+    maxPrice: round(maxPrice, decimals),
+    bucketSize: round(bucketSize, decimals + 2),
+    bucketCount,
+    poc: toNode({ from: poc, to: poc }),
+    valueAreaHigh: round(buckets[valueArea.hi].high, decimals),
+    valueAreaLow: round(buckets[valueArea.lo].low, decimals),
+    valueAreaEdges: {
+      high: toNode({ from: valueArea.hi, to: valueArea.hi }),
+      low: toNode({ from: valueArea.lo, to: valueArea.lo }),
+    },
+    highVolumeNodes: nodes.high
+      .sort((a, b) => buckets[b.peak].weighted - buckets[a.peak].weighted)
+      .slice(0, MAX_HIGH_VOLUME_NODES)
+      .map(toNode),
+    lowVolumeNodes: nodes.low
+      .sort((a, b) => buckets[a.peak].weighted - buckets[b.peak].weighted)
+      .slice(0, MAX_LOW_VOLUME_NODES)
+      .map(toNode),
+  };
+}
+
+module.exports = {
+  buildVolumeProfile,
+};
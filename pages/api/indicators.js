@@ -0,0 +1,9 @@
+import { listIndicators } from '../../lib/signalGenerator';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate=600');
+  return res.status(200).json({ indicators: listIndicators() });
+}
@@ -1,15 +1,25 @@
 import {
   normalizeTradingSymbol,
+  historyRequirement,
+  resolveSymbol,
   fetchOHLCV,
+  fetchSyntheticOHLCV,
   fetchFuturesContext,
   fetchCatalystWatch,
   generateSignal,
+  indicatorSeries,
+  summarizeTimeframe,
   SYMBOL_MAP,
+  SCENARIO_NAMES,
 } from '../../lib/signalGenerator';
+import { parseContractQuery } from '../../lib/contracts';
+import { runWithDataContext } from '../../lib/dataContext';
+import { defineCache, readThrough } from '../../lib/tieredCache';
 
 const SUPPORTED_TIMEFRAMES = ['15m', '1h', '4h', '1d'];
 const SUPPORTED_SIGNAL_TYPES = ['scalp', 'intraday', 'swing'];
 const SUPPORTED_RISK_TOLERANCE = ['conservative', 'moderate', 'aggressive'];
+const SUPPORTED_DEGRADATION_POLICIES = ['strict', 'synthetic', 'proxy'];
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
 const OPENAI_MODEL = process.env.OPENAI_MODEL || 'gpt-4.1-mini';
 const OPENAI_BASE_URL = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1/chat/completions';
@@ -28,6 +38,10 @@ const OPENAI_TIMEOUT_MS = numberEnv('OPENAI_TIMEOUT_MS', 6500, 1500, 15000);
 const OPENAI_TEMPERATURE = numberEnv('OPENAI_TEMPERATURE', 0.2, 0, 1);
 const OPENAI_MAX_OUTPUT_TOKENS = Math.round(numberEnv('OPENAI_MAX_OUTPUT_TOKENS', 500, 120, 1200));
 const OPENAI_REASONING_ENABLED_BY_DEFAULT = String(process.env.OPENAI_REASONING_ENABLED || 'true').toLowerCase() !== 'false';
+const DEFAULT_DEGRADATION_POLICY = String(process.env.SIGNAL_DEGRADATION_POLICY || 'synthetic').toLowerCase();
+const PROXY_SYMBOL = normalizeTradingSymbol(process.env.SIGNAL_PROXY_SYMBOL || 'BTCUSDT');
+const SIGNAL_CACHE = defineCache('signal', 'SIGNAL', { ttlMs: 60 * 1000, staleTtlMs: 30 * 60 * 1000 });
+const SIGNAL_EDGE_STALE_FALLBACK_S = numberEnv('SIGNAL_EDGE_STALE_FALLBACK_S', 30, 10, 600);
 
 function parseBooleanLike(raw, fallback) {
   if (raw == null || raw === '') return fallback;
@@ -90,6 +104,9 @@ async function enhanceReasoningWithOpenAI(result) {
     signalQuality: result.signalQuality,
     liquidationRiskMeter: result.liquidationRiskMeter,
     breakoutFakeoutDetector: result.breakoutFakeoutDetector,
+    marketStructure: result.marketStructure,
+    fibonacci: result.fibonacci,
+    multiTimeframe: result.multiTimeframe,
     indicators: {
       rsi: result.indicators?.rsi,
       macdHistogram: result.indicators?.macd?.histogram,
@@ -101,6 +118,16 @@ async function enhanceReasoningWithOpenAI(result) {
       momentum10: result.indicators?.momentum10,
       volatility20: result.indicators?.volatility20,
       volumeRatio: result.indicators?.volumeRatio,
+      vwap: result.indicators?.vwap,
+      divergences: result.indicators?.divergences,
+      candlePatterns: result.indicators?.candlePatterns,
+      obv: result.indicators?.obv,
+      cmf: result.indicators?.cmf,
+      adl: result.indicators?.adl,
+      ichimoku: result.indicators?.ichimoku,
+      supertrend: result.indicators?.supertrend,
+      keltner: result.indicators?.keltner,
+      donchian: result.indicators?.donchian,
     },
     futuresContext: result.futuresContext,
     catalystWatch: {
@@ -195,13 +222,89 @@ function pickAllowed(value, allowed, fallback) {
 
 function buildEmptyFuturesContext() {
   return {
-    fundingRate: { current: null, annualizedPct: null, nextFundingTime: null },
-    openInterest: { latest: null, changePct: null },
-    longShortRatio: { ratio: null, changePct: null },
+    fundingRate: { current: null, annualizedPct: null, nextFundingTime: null, source: null },
+    openInterest: { latest: null, changePct: null, source: null },
+    longShortRatio: { ratio: null, changePct: null, source: null },
     source: 'fallback',
   };
 }
 
+// path: live | synthetic | proxy | unavailable. servedSymbol differs from requestedSymbol only on proxy.
+function buildDataProvenance(policy, path, details = {}) {
+  return {
+    policy,
+    path,
+    requestedSymbol: details.requestedSymbol || null,
+    servedSymbol: details.servedSymbol || null,
+    servedGeckoId: details.servedGeckoId || null,
+    relabeled: Boolean(details.requestedSymbol && details.servedSymbol && details.requestedSymbol !== details.servedSymbol),
+    dataSource: details.dataSource || null,
+    candleCache: details.candleCache || null,
+    reason: details.reason || null,
+  };
+}
+
+function describeCoin(symbol, names = {}) {
+  const knownCoin = SYMBOL_MAP[symbol];
+  return {
+    name: names.symbolName || knownCoin?.name || (names.symbolBase || symbol.replace(/USDT$/, '')).toUpperCase(),
+    geckoId: knownCoin?.geckoId || null,
+  };
+}
+
+// Walks the degradation chain after live candles failed; null means the policy allows nothing else.
+async function loadDegradedOHLCV(policy, normalizedSymbol, timeframe, bars, geckoId) {
+  if (policy === 'strict') return null;
+  if (policy === 'proxy' && PROXY_SYMBOL !== normalizedSymbol) {
+    try {
+      const proxyCoin = describeCoin(PROXY_SYMBOL);
+      const ohlcv = await fetchOHLCV(PROXY_SYMBOL, timeframe, bars, { geckoId: proxyCoin.geckoId, synthetic: false });
+      if (Array.isArray(ohlcv) && ohlcv.length) {
+        return { path: 'proxy', symbol: PROXY_SYMBOL, geckoId: proxyCoin.geckoId, ohlcv };
+      }
+    } catch {}
+  }
+  const ohlcv = await fetchSyntheticOHLCV(normalizedSymbol, timeframe, bars, { geckoId });
+  return ohlcv.length ? { path: 'synthetic', symbol: normalizedSymbol, geckoId, ohlcv } : null;
+}
+
+// Candles for the next `count` timeframes up the ladder, from the same source as the primary ones.
+async function loadHigherTimeframes(served, timeframe, count, options, warnings) {
+  const ladder = SUPPORTED_TIMEFRAMES.slice(SUPPORTED_TIMEFRAMES.indexOf(timeframe) + 1, SUPPORTED_TIMEFRAMES.indexOf(timeframe) + 1 + count);
+  if (ladder.length < count) {
+    warnings.push(ladder.length
+      ? `Only ${ladder.join(', ')} sits above ${timeframe}; higher-timeframe filter uses ${ladder.length}`
+      : `No timeframe above ${timeframe}; higher-timeframe filter skipped`);
+  }
+  if (!ladder.length) return [];
+  if (served.path === 'synthetic' && !options.scenario) {
+    warnings.push('Higher-timeframe filter skipped on synthetic fallback candles');
+    return [];
+  }
+  const results = await Promise.allSettled(ladder.map((htf) => {
+    const bars = historyRequirement(htf).bars;
+    return options.scenario
+      ? fetchSyntheticOHLCV(served.symbol, htf, bars, { scenario: options.scenario })
+      : fetchOHLCV(served.symbol, htf, bars, { geckoId: served.geckoId, ...options.contract, synthetic: false });
+  }));
+  return ladder.map((htf, i) => {
+    const ohlcv = results[i].status === 'fulfilled' && Array.isArray(results[i].value) ? results[i].value : [];
+    if (!ohlcv.length) warnings.push(`${htf} candles unavailable, left out of the higher-timeframe filter`);
+    return summarizeTimeframe(ohlcv, htf);
+  }).filter(Boolean);
+}
+
+function buildUnavailablePayload(dataProvenance, warnings, message) {
+  return {
+    error: message,
+    symbol: dataProvenance.requestedSymbol,
+    degraded: true,
+    warnings,
+    dataProvenance,
+    timestamp: new Date().toISOString(),
+  };
+}
+
 function buildEmptyCatalystWatch() {
   return {
     sentimentScore: 0,
@@ -220,7 +323,163 @@ function buildEmptyCatalystWatch() {
   };
 }
 
-export default async function handler(req, res) {
+function describeResolution(resolution) {
+  return {
+    source: resolution.source,
+    confidence: resolution.confidence,
+    alternatives: resolution.candidates.filter((candidate) => candidate.id !== resolution.geckoId),
+  };
+}
+
+// Builds the signal payload without touching the response so the result can be cached as-is.
+async function computeSignal(request) {
+  const {
+    normalizedSymbol,
+    geckoId,
+    platform,
+    contractAddress,
+    symbolName,
+    symbolBase,
+    safeTimeframe,
+    safeSignalType,
+    safeRiskTolerance,
+    safeDegradation,
+    safeScenario,
+    fibSnap,
+    includeSeries,
+    higherTimeframeCount,
+    useAiReasoning,
+  } = request;
+  const warnings = [];
+  const history = historyRequirement(safeTimeframe);
+  // A demo scenario replays fixed synthetic candles with neutral context, so runs are reproducible.
+  const [ohlcvResult, futuresContextResult, catalystWatchResult] = safeScenario ? await Promise.allSettled([
+    fetchSyntheticOHLCV(normalizedSymbol, safeTimeframe, history.bars, { scenario: safeScenario }),
+    buildEmptyFuturesContext(),
+    buildEmptyCatalystWatch(),
+  ]) : await Promise.allSettled([
+    fetchOHLCV(normalizedSymbol, safeTimeframe, history.bars, { geckoId, platform, contractAddress, synthetic: false }),
+    fetchFuturesContext(normalizedSymbol, safeTimeframe, { geckoId }),
+    fetchCatalystWatch(normalizedSymbol, {
+      geckoId,
+      coinName: symbolName,
+      coinSymbol: symbolBase || normalizedSymbol.replace(/USDT$/, ''),
+    }),
+  ]);
+
+  let ohlcv = ohlcvResult.status === 'fulfilled' && Array.isArray(ohlcvResult.value)
+    ? ohlcvResult.value
+    : [];
+  let served = {
+    path: safeScenario ? 'synthetic' : 'live',
+    symbol: normalizedSymbol,
+    geckoId: geckoId || describeCoin(normalizedSymbol).geckoId,
+  };
+  let reason = safeScenario ? `Demo scenario ${safeScenario} requested` : null;
+  if (safeScenario) {
+    warnings.push(`Demo scenario ${safeScenario}: synthetic candles with neutral futures and catalyst context`);
+  }
+  if (!ohlcv.length) {
+    reason = ohlcvResult.status === 'rejected'
+      ? String(ohlcvResult.reason?.message || 'Primary OHLCV unavailable')
+      : 'Primary OHLCV returned no candles';
+    served = await loadDegradedOHLCV(safeDegradation, normalizedSymbol, safeTimeframe, history.bars, geckoId);
+    if (!served) {
+      const dataProvenance = buildDataProvenance(safeDegradation, 'unavailable', { requestedSymbol: normalizedSymbol, reason });
+      warnings.push(`Primary OHLCV unavailable and ${safeDegradation} policy allows no fallback`);
+      return { statusCode: 503, payload: buildUnavailablePayload(dataProvenance, warnings, `Market data unavailable for ${normalizedSymbol}`) };
+    }
+    ohlcv = served.ohlcv;
+    warnings.push(served.path === 'proxy'
+      ? `Primary OHLCV unavailable, served ${served.symbol} proxy signal instead of ${normalizedSymbol}`
+      : 'Primary OHLCV unavailable, switched to synthetic demo data');
+  }
+  const isProxy = served.path === 'proxy';
+
+  // Context belongs to the requested coin, so it is withheld when the candles come from a proxy asset.
+  const futuresContext = futuresContextResult.status === 'fulfilled' && !isProxy
+    ? futuresContextResult.value
+    : buildEmptyFuturesContext();
+  if (futuresContextResult.status !== 'fulfilled') {
+    warnings.push('Futures context unavailable, served neutral values');
+  } else if (!isProxy) {
+    warnings.push(...(futuresContext.warnings || []));
+  }
+
+  const catalystWatch = catalystWatchResult.status === 'fulfilled' && !isProxy
+    ? catalystWatchResult.value
+    : buildEmptyCatalystWatch();
+  if (catalystWatchResult.status !== 'fulfilled') {
+    warnings.push('Catalyst watch unavailable, served neutral values');
+  }
+  if (isProxy) {
+    warnings.push(`Futures and catalyst context for ${normalizedSymbol} withheld from ${served.symbol} proxy signal`);
+  }
+
+  const higherTimeframes = higherTimeframeCount
+    ? await loadHigherTimeframes(served, safeTimeframe, higherTimeframeCount, {
+      scenario: safeScenario,
+      contract: served.path === 'live' ? { platform, contractAddress } : {},
+    }, warnings)
+    : [];
+
+  const result = generateSignal(ohlcv, safeSignalType, safeRiskTolerance, {
+    futuresContext,
+    catalystWatch,
+    fibSnap,
+    timeframe: safeTimeframe,
+    higherTimeframes,
+  });
+  const servedCoin = describeCoin(served.symbol, isProxy ? {} : { symbolName, symbolBase });
+  result.symbol = served.symbol;
+  result.symbolName = servedCoin.name;
+  result.geckoId = served.geckoId || servedCoin.geckoId;
+  result.dataProvenance = buildDataProvenance(safeDegradation, served.path, {
+    requestedSymbol: normalizedSymbol,
+    servedSymbol: served.symbol,
+    servedGeckoId: result.geckoId,
+    dataSource: result.dataSource,
+    candleCache: ohlcv.cache?.status,
+    reason,
+  });
+  if (ohlcv.cache?.stale) {
+    warnings.push(`Upstream candles unavailable, served cached candles from ${ohlcv.cache.createdAt}`);
+  }
+  result.timeframe = safeTimeframe;
+  result.signalType = safeSignalType;
+  result.riskTolerance = safeRiskTolerance;
+  result.reasoningSource = 'rules';
+  result.dataCoverage.requiredBars = history.bars;
+  if (includeSeries) result.series = indicatorSeries(ohlcv);
+  const skipped = result.dataCoverage.skippedIndicators || [];
+  if (skipped.length) {
+    warnings.push(`Insufficient history for ${skipped.map((item) => `${item.id} (${item.available}/${item.lookback})`).join(', ')}`);
+  }
+  const historyCap = result.dataCoverage.historyCap;
+  if (historyCap) {
+    warnings.push(`Only ${historyCap.bars}/${historyCap.requested} candles available: ${historyCap.reason}`);
+  }
+  const failed = result.dataCoverage.failedIndicators || [];
+  if (failed.length) {
+    warnings.push(`Custom indicators failed and were left out: ${failed.map((item) => `${item.id} ${item.stage} (${item.error})`).join(', ')}`);
+  }
+
+  if (useAiReasoning) {
+    const aiEnhancement = await enhanceReasoningWithOpenAI(result);
+    if (aiEnhancement.applied) {
+      result.reasons = aiEnhancement.reasons;
+      result.aiReasoning = aiEnhancement.aiReasoning;
+      result.reasoningSource = 'openai';
+    } else if (aiEnhancement.warning) {
+      warnings.push(aiEnhancement.warning);
+    }
+  }
+
+  result.warnings = warnings;
+  return { statusCode: 200, payload: result };
+}
+
+async function handleSignal(req, res) {
   if (req.method !== 'GET' && req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
@@ -228,115 +487,174 @@ export default async function handler(req, res) {
   const params = req.method === 'POST' ? req.body : req.query;
   const {
     symbol = 'BTCUSDT',
+    contract = '',
     geckoId = '',
     symbolName = '',
     symbolBase = '',
     timeframe = '4h',
     signalType = 'swing',
     riskTolerance = 'moderate',
+    degradation = DEFAULT_DEGRADATION_POLICY,
+    scenario = '',
   } = params;
-  const normalizedSymbol = normalizeTradingSymbol(symbol || symbolBase || 'BTCUSDT');
+  const contractQuery = String(contract || '').trim() || (parseContractQuery(symbol) ? String(symbol).trim() : '');
+  let resolution = null;
+  if (contractQuery) {
+    try {
+      resolution = await resolveSymbol(contractQuery);
+    } catch (err) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(503).json({ error: `Contract lookup unavailable for ${contractQuery}`, detail: err?.message });
+    }
+    if (!resolution.geckoId) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(404).json({ error: `No coin found for contract ${contractQuery}` });
+    }
+  }
+  const normalizedSymbol = normalizeTradingSymbol(resolution?.symbol || symbol || symbolBase || 'BTCUSDT');
+  const contractFields = resolution?.platform
+    ? { platform: resolution.platform, contractAddress: resolution.contractAddress }
+    : {};
   const safeTimeframe = pickAllowed(String(timeframe || '4h'), SUPPORTED_TIMEFRAMES, '4h');
   const safeSignalType = pickAllowed(String(signalType || 'swing'), SUPPORTED_SIGNAL_TYPES, 'swing');
   const safeRiskTolerance = pickAllowed(String(riskTolerance || 'moderate'), SUPPORTED_RISK_TOLERANCE, 'moderate');
+  const safeDegradation = pickAllowed(String(degradation || '').toLowerCase(), SUPPORTED_DEGRADATION_POLICIES, 'synthetic');
+  const safeScenario = pickAllowed(String(scenario || '').toLowerCase(), SCENARIO_NAMES, '');
   const useAiReasoning = parseBooleanLike(params?.useAI ?? params?.useAi ?? params?.aiReasoning, OPENAI_REASONING_ENABLED_BY_DEFAULT);
+  const fibSnap = parseBooleanLike(params?.fibSnap, false);
+  const includeSeries = parseBooleanLike(params?.series, false);
+  const higherTimeframeCount = Math.round(clampNumber(Number(params?.higherTimeframes) || 0, 0, 2));
   const warnings = [];
 
   if (safeTimeframe !== timeframe) warnings.push('Invalid timeframe normalized to 4h');
   if (safeSignalType !== signalType) warnings.push('Invalid signalType normalized to swing');
   if (safeRiskTolerance !== riskTolerance) warnings.push('Invalid riskTolerance normalized to moderate');
+  if (safeDegradation !== String(degradation || '').toLowerCase()) warnings.push('Invalid degradation policy normalized to synthetic');
+  if (scenario && !safeScenario) warnings.push(`Unknown scenario ignored (use ${SCENARIO_NAMES.join('/')})`);
 
   try {
-    const [ohlcvResult, futuresContextResult, catalystWatchResult] = await Promise.allSettled([
-      fetchOHLCV(normalizedSymbol, safeTimeframe, 120, { geckoId }),
-      fetchFuturesContext(normalizedSymbol, safeTimeframe, { geckoId }),
-      fetchCatalystWatch(normalizedSymbol, {
-        geckoId,
-        coinName: symbolName,
-        coinSymbol: symbolBase || normalizedSymbol.replace(/USDT$/, ''),
-      }),
-    ]);
-
-    let ohlcv = ohlcvResult.status === 'fulfilled' && Array.isArray(ohlcvResult.value)
-      ? ohlcvResult.value
-      : [];
-    if (!ohlcv.length) {
-      warnings.push('Primary OHLCV unavailable, switched to demo fallback');
-      ohlcv = await fetchOHLCV('BTCUSDT', safeTimeframe, 120, { geckoId: 'bitcoin' });
-    }
-
-    const futuresContext = futuresContextResult.status === 'fulfilled'
-      ? futuresContextResult.value
-      : buildEmptyFuturesContext();
-    if (futuresContextResult.status !== 'fulfilled') {
-      warnings.push('Futures context unavailable, served neutral values');
+    if (!resolution) resolution = await resolveSymbol(normalizedSymbol, geckoId).catch(() => null);
+    if (resolution?.ambiguous) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(409).json({
+        error: `${resolution.symbol} matches several coins; pass geckoId to pick one`,
+        symbol: normalizedSymbol,
+        disambiguation: resolution.candidates,
+        minConfidence: resolution.minConfidence,
+      });
     }
-
-    const catalystWatch = catalystWatchResult.status === 'fulfilled'
-      ? catalystWatchResult.value
-      : buildEmptyCatalystWatch();
-    if (catalystWatchResult.status !== 'fulfilled') {
-      warnings.push('Catalyst watch unavailable, served neutral values');
+    const resolvedGeckoId = resolution?.geckoId || geckoId;
+    const request = {
+      normalizedSymbol,
+      geckoId: resolvedGeckoId,
+      platform: resolution?.platform || null,
+      contractAddress: resolution?.contractAddress || null,
+      symbolName: symbolName || resolution?.name || '',
+      symbolBase: symbolBase || (resolution?.platform ? resolution.symbol : ''),
+      safeTimeframe,
+      safeSignalType,
+      safeRiskTolerance,
+      safeDegradation,
+      safeScenario,
+      fibSnap,
+      includeSeries,
+      higherTimeframeCount,
+      useAiReasoning,
+    };
+    const key = [
+      normalizedSymbol,
+      resolvedGeckoId || '-',
+      request.symbolName || '-',
+      request.symbolBase || '-',
+      safeTimeframe,
+      safeSignalType,
+      safeRiskTolerance,
+      safeDegradation,
+      safeScenario || '-',
+      fibSnap ? 'fib' : '-',
+      includeSeries ? 'series' : '-',
+      `htf${higherTimeframeCount}`,
+      useAiReasoning ? 'ai' : 'rules',
+    ].join('|');
+    const cached = await readThrough(SIGNAL_CACHE, key, () => computeSignal(request), {
+      isUsable: (value) => value.statusCode === 200 && value.payload?.dataProvenance?.path === 'live',
+      // Strict callers asked for an error over anything but current data.
+      allowStale: safeDegradation !== 'strict',
+    });
+    const { statusCode, payload } = cached.value;
+    // A proxy payload describes another coin, so the requested contract is not attached to it.
+    const servedContract = payload.dataProvenance?.path !== 'proxy' ? contractFields : {};
+    const responseWarnings = [...warnings, ...(payload.warnings || [])];
+    if (cached.stale) {
+      responseWarnings.push(`Live data unavailable, served cached signal from ${new Date(cached.createdAt).toISOString()}`);
     }
 
-    if (!ohlcv.length) {
-      warnings.push('OHLCV fallback still unavailable, generated last-resort demo');
-      ohlcv = await fetchOHLCV('BTCUSDT', '4h', 120, { geckoId: 'bitcoin' });
+    res.setHeader('X-Cache', cached.status);
+    if (statusCode !== 200) {
+      res.setHeader('Cache-Control', 'no-store');
+    } else if (cached.stale) {
+      res.setHeader('Cache-Control', `public, s-maxage=${SIGNAL_EDGE_STALE_FALLBACK_S}, stale-while-revalidate=${SIGNAL_EDGE_STALE_FALLBACK_S * 2}`);
+    } else {
+      res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=300');
     }
-
-    const result = generateSignal(ohlcv, safeSignalType, safeRiskTolerance, {
-      futuresContext,
-      catalystWatch,
+    return res.status(statusCode).json({
+      ...payload,
+      cached: cached.status === 'HIT_LOCAL' || cached.status === 'HIT_REMOTE' || cached.stale,
+      ...(cached.stale ? { stale: true } : {}),
+      ...servedContract,
+      ...(resolution ? { symbolResolution: describeResolution(resolution) } : {}),
+      degraded: responseWarnings.length > 0,
+      warnings: responseWarnings,
     });
-    const knownCoin = SYMBOL_MAP[normalizedSymbol];
-    result.symbol = normalizedSymbol;
-    result.symbolName = symbolName || knownCoin?.name || (symbolBase || normalizedSymbol.replace(/USDT$/, '')).toUpperCase();
-    result.geckoId = geckoId || knownCoin?.geckoId || null;
-    result.timeframe = safeTimeframe;
-    result.signalType = safeSignalType;
-    result.riskTolerance = safeRiskTolerance;
-    result.reasoningSource = 'rules';
-
-    if (useAiReasoning) {
-      const aiEnhancement = await enhanceReasoningWithOpenAI(result);
-      if (aiEnhancement.applied) {
-        result.reasons = aiEnhancement.reasons;
-        result.aiReasoning = aiEnhancement.aiReasoning;
-        result.reasoningSource = 'openai';
-      } else if (aiEnhancement.warning) {
-        warnings.push(aiEnhancement.warning);
-      }
-    }
-
-    result.degraded = warnings.length > 0;
-    result.warnings = warnings;
-
-    res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=300');
-    return res.status(200).json(result);
   } catch (err) {
+    const reason = String(err?.message || 'Signal generation failed');
+    if (safeDegradation === 'strict') {
+      const dataProvenance = buildDataProvenance('strict', 'unavailable', { requestedSymbol: normalizedSymbol, reason });
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(503).json(buildUnavailablePayload(
+        dataProvenance,
+        ['Signal generation failed and strict policy allows no fallback'],
+        err.message,
+      ));
+    }
+    const requestedGeckoId = resolution?.geckoId || geckoId;
+    const requestedCoin = describeCoin(normalizedSymbol, { symbolName: symbolName || resolution?.name, symbolBase });
     try {
-      const fallbackOHLCV = await fetchOHLCV('BTCUSDT', '4h', 120, { geckoId: 'bitcoin' });
-      const fallback = generateSignal(fallbackOHLCV, 'swing', 'moderate', {
+      const served = await loadDegradedOHLCV(safeDegradation, normalizedSymbol, '4h', historyRequirement('4h').bars, requestedGeckoId);
+      if (!served) throw new Error('No degraded OHLCV available');
+      const fallback = generateSignal(served.ohlcv, 'swing', 'moderate', {
         futuresContext: buildEmptyFuturesContext(),
         catalystWatch: buildEmptyCatalystWatch(),
       });
-      fallback.symbol = 'BTCUSDT';
-      fallback.symbolName = 'Bitcoin';
-      fallback.geckoId = 'bitcoin';
+      const servedCoin = served.path === 'proxy' ? describeCoin(served.symbol) : requestedCoin;
+      fallback.symbol = served.symbol;
+      fallback.symbolName = servedCoin.name;
+      fallback.geckoId = served.geckoId || servedCoin.geckoId;
+      if (served.path !== 'proxy') Object.assign(fallback, contractFields);
       fallback.timeframe = '4h';
       fallback.signalType = 'swing';
       fallback.riskTolerance = 'moderate';
       fallback.degraded = true;
       fallback.warnings = ['Signal generation failed, fallback payload returned'];
+      fallback.dataProvenance = buildDataProvenance(safeDegradation, served.path, {
+        requestedSymbol: normalizedSymbol,
+        servedSymbol: served.symbol,
+        servedGeckoId: fallback.geckoId,
+        dataSource: fallback.dataSource,
+        reason,
+      });
       fallback.error = err.message;
+      res.setHeader('X-Cache', 'STATIC_FALLBACK');
       return res.status(200).json(fallback);
     } catch {
+      res.setHeader('X-Cache', 'EMPTY_FALLBACK');
       return res.status(200).json({
         signal: 'HOLD',
         confidence: 0,
-        symbol: 'BTCUSDT',
-        symbolName: 'Bitcoin',
-        geckoId: 'bitcoin',
+        symbol: normalizedSymbol,
+        symbolName: requestedCoin.name,
+        geckoId: requestedGeckoId || requestedCoin.geckoId,
+        ...contractFields,
         timeframe: '4h',
         signalType: 'swing',
         riskTolerance: 'moderate',
@@ -371,6 +689,8 @@ export default async function handler(req, res) {
         signalQuality: null,
         marketType: 'fallback',
         dataSource: 'fallback',
+        dataCoverage: null,
+        dataProvenance: buildDataProvenance(safeDegradation, 'unavailable', { requestedSymbol: normalizedSymbol, reason }),
         degraded: true,
         warnings: ['Signal endpoint degraded mode response'],
         error: err.message,
@@ -379,3 +699,8 @@ export default async function handler(req, res) {
     }
   }
 }
+
+// Every upstream call made while serving one request shares a memoized data context.
+export default function handler(req, res) {
+  return runWithDataContext(() => handleSignal(req, res));
+}
@@ -0,0 +1,23 @@
+import { getSchedulerStats } from '../../lib/requestScheduler';
+
+const USAGE_STATS_TOKEN = process.env.USAGE_STATS_TOKEN || '';
+
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+  // Disabled unless a token is configured: the stats expose upstream plan limits and traffic.
+  if (!USAGE_STATS_TOKEN) {
+    return res.status(404).json({ error: 'Usage stats disabled (set USAGE_STATS_TOKEN)' });
+  }
+  const provided = String(req.headers['x-usage-token'] || req.query.token || '');
+  if (provided !== USAGE_STATS_TOKEN) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(200).json({
+    ...getSchedulerStats(),
+    timestamp: new Date().toISOString(),
+  });
+}
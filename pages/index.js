@@ -1,5 +1,6 @@
 import { useEffect, useRef, useState } from 'react';
 import Head from 'next/head';
+import { parseContractQuery } from '../lib/contracts';
 
 const DEFAULT_COIN = {
   id: 'bitcoin',
@@ -78,8 +79,11 @@ function normalizeSymbolText(raw) {
 
 function parseAnalyzeCommand(raw) {
   const text = String(raw || '').trim();
-  const match = text.match(/^analyze\s+([a-z0-9._-]{1,24})$/i);
+  const match = text.match(/^analyze\s+(\S{1,80})$/i);
   if (!match) return null;
+  // Contract queries (chain:address or a bare 0x/base58 address) go to search untouched.
+  if (parseContractQuery(match[1])) return match[1];
+  if (!/^[a-z0-9._-]{1,24}$/i.test(match[1])) return null;
   return normalizeSymbolText(match[1]);
 }
 
@@ -95,6 +99,8 @@ export default function Home() {
   const [timeframe, setTimeframe] = useState('4h');
   const [signalType, setSignalType] = useState('swing');
   const [riskTolerance, setRiskTolerance] = useState('moderate');
+  const [fibSnap, setFibSnap] = useState(false);
+  const [higherTimeframes, setHigherTimeframes] = useState('0');
   const [theme, setTheme] = useState('chalkboard');
   const [showLoginGate, setShowLoginGate] = useState(true);
   const [loginProgress, setLoginProgress] = useState(0);
@@ -241,15 +247,26 @@ export default function Home() {
 
       const params = new URLSearchParams({
         symbol: coin.pair || `${normalizeSymbolText(coin.symbol)}USDT`,
+        contract: coin.contractAddress ? `${coin.platform}:${coin.contractAddress}` : '',
         geckoId: coin.id || '',
         symbolName: coin.name || '',
         symbolBase: coin.symbol || normalizeSymbolText(coin.name),
         timeframe,
         signalType,
         riskTolerance,
+        fibSnap: fibSnap ? 'true' : 'false',
+        higherTimeframes,
       });
       const res = await fetch(`/api/signal?${params}`);
-      if (!res.ok) throw new Error((await res.json()).error || res.statusText);
+      if (!res.ok) {
+        const failure = await res.json();
+        if (Array.isArray(failure.disambiguation) && failure.disambiguation.length) {
+          setCoinSuggestions(failure.disambiguation);
+          setShowSuggestions(true);
+          setCommandMessage(`${coin.symbol || typed} is ambiguous. Pick one to analyze.`);
+        }
+        throw new Error(failure.error || res.statusText);
+      }
       setData(await res.json());
       setSelectedCoin(coin);
       setCoinQuery(coin.name || coin.symbol);
@@ -410,6 +427,21 @@ export default function Home() {
                 {RISK_LEVELS.map((r) => <option key={r.value} value={r.value}>{r.label}</option>)}
               </select>
             </div>
+            <div className="form-group">
+              <label>Fib Targets</label>
+              <select value={fibSnap ? 'snap' : 'off'} onChange={(e) => setFibSnap(e.target.value === 'snap')}>
+                <option value="off">Fixed %</option>
+                <option value="snap">Snap to confluent Fib</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Higher TF Filter</label>
+              <select value={higherTimeframes} onChange={(e) => setHigherTimeframes(e.target.value)}>
+                <option value="0">Off</option>
+                <option value="1">Next timeframe</option>
+                <option value="2">Next two timeframes</option>
+              </select>
+            </div>
             <div className="form-group">
               <label>Terminal Skin</label>
               <select value={theme} onChange={(e) => setTheme(e.target.value)}>
@@ -453,6 +485,18 @@ export default function Home() {
               <div className="signal-meta">
                 <div>{data.symbolName} &middot; {data.timeframe.toUpperCase()} &middot; {data.signalType.charAt(0).toUpperCase() + data.signalType.slice(1)}</div>
                 <div>{new Date(data.timestamp).toLocaleString()}</div>
+                {data.dataProvenance?.path === 'proxy' && (
+                  <div>Proxy data: {data.dataProvenance.servedSymbol} (requested {data.dataProvenance.requestedSymbol})</div>
+                )}
+                {data.dataProvenance?.path === 'synthetic' && (
+                  <div>Synthetic demo data{data.scenario ? ` (${data.scenario.name.replace(/_/g, ' ')} scenario)` : ''}</div>
+                )}
+                {data.dexPool && (
+                  <div>DEX pool: {data.dexPool.name} &middot; ${Math.round(data.dexPool.liquidityUsd || 0).toLocaleString('en-US')} liquidity</div>
+                )}
+                {data.contractAddress && (
+                  <div>{data.platform}: {data.contractAddress.slice(0, 6)}…{data.contractAddress.slice(-4)}</div>
+                )}
               </div>
             </div>
 
@@ -508,17 +552,17 @@ export default function Home() {
                   <tr>
                     <td>Entry Zone</td>
                     <td>${fmt(data.entryRange.low)} - ${fmt(data.entryRange.high)}</td>
-                    <td style={{ color: 'var(--text-dim)' }}>Current</td>
+                    <td style={{ color: 'var(--text-dim)' }}>{data.fibonacci?.snapped?.entry ? `Fib ${data.fibonacci.snapped.entry}` : 'Current'}</td>
                   </tr>
                   <tr>
-                    <td>Take Profit 1</td>
+                    <td>Take Profit 1{data.fibonacci?.snapped?.takeProfit1 ? ` (Fib ${data.fibonacci.snapped.takeProfit1})` : ''}</td>
                     <td>${fmt(data.takeProfit1)}</td>
                     <td className={data.takeProfit1Pct >= 0 ? 'pct-pos' : 'pct-neg'}>
                       {data.takeProfit1Pct >= 0 ? '+' : ''}{data.takeProfit1Pct}%
                     </td>
                   </tr>
                   <tr>
-                    <td>Take Profit 2</td>
+                    <td>Take Profit 2{data.fibonacci?.snapped?.takeProfit2 ? ` (Fib ${data.fibonacci.snapped.takeProfit2})` : ''}</td>
                     <td>${fmt(data.takeProfit2)}</td>
                     <td className={data.takeProfit2Pct >= 0 ? 'pct-pos' : 'pct-neg'}>
                       {data.takeProfit2Pct >= 0 ? '+' : ''}{data.takeProfit2Pct}%
@@ -606,6 +650,63 @@ export default function Home() {
               </div>
             )}
 
+            {/* Market Structure */}
+            {data.marketStructure && (
+              <div style={{ marginBottom: 24 }}>
+                <h3 style={{ fontSize: 14, fontWeight: 600, textTransform: 'uppercase', letterSpacing: '.5px', color: 'var(--text-dim)', marginBottom: 10 }}>
+                  Market Structure
+                </h3>
+                <div className="quality-panel">
+                  <div className="quality-head">
+                    <div>
+                      <div className="quality-title">{data.marketStructure.structure.toUpperCase()}</div>
+                      <div className="quality-sub">
+                        {data.marketStructure.lastEvent
+                          ? `Last ${data.marketStructure.lastEvent.type} ${data.marketStructure.lastEvent.direction} through $${fmt(data.marketStructure.lastEvent.level)} (${data.marketStructure.lastEvent.barsAgo} bars ago)`
+                          : 'No break of structure yet'}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="quality-metrics">
+                    <div>Swing High: ${fmt(data.marketStructure.swingHigh?.price)}</div>
+                    <div>Swing Low: ${fmt(data.marketStructure.swingLow?.price)}</div>
+                  </div>
+                  <div className="quality-row">
+                    <span>{(data.marketStructure.swings || []).map((swing) => swing.label || swing.type).join(' → ') || '-'}</span>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* Multi-Timeframe */}
+            {data.multiTimeframe && (
+              <div style={{ marginBottom: 24 }}>
+                <h3 style={{ fontSize: 14, fontWeight: 600, textTransform: 'uppercase', letterSpacing: '.5px', color: 'var(--text-dim)', marginBottom: 10 }}>
+                  Multi-Timeframe
+                </h3>
+                <div className="quality-panel">
+                  <div className="quality-head">
+                    <div>
+                      <div className="quality-title">Higher TF {data.multiTimeframe.filter.action.toUpperCase()}</div>
+                      <div className="quality-sub">
+                        {data.multiTimeframe.filter.action === 'veto'
+                          ? `${data.multiTimeframe.filter.vetoedSignal} vetoed by ${data.multiTimeframe.filter.opposing.join(', ')}`
+                          : data.multiTimeframe.filter.action === 'discount'
+                            ? `Confidence x${data.multiTimeframe.filter.confidenceMultiplier} against ${data.multiTimeframe.filter.opposing.join(', ')}`
+                            : 'No higher timeframe opposes the signal'}
+                      </div>
+                    </div>
+                  </div>
+                  {data.multiTimeframe.timeframes.map((item) => (
+                    <div className="quality-row" key={`mtf-${item.timeframe}`}>
+                      <span>{item.timeframe} · {item.regime}{item.strongTrend ? ' (strong)' : ''} · {item.bias}</span>
+                      <span>S ${fmt(item.keyLevels.support)} · R ${fmt(item.keyLevels.resistance)} · POC ${fmt(item.keyLevels.poc)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Market Pulse */}
             {data.futuresContext && (
               <div style={{ marginBottom: 24 }}>
@@ -626,7 +727,10 @@ export default function Home() {
                     </div>
                   </div>
                   <div className="indicator-card">
-                    <div className="label">Open Interest Change</div>
+                    <div className="label">
+                      Open Interest Change
+                      {String(data.futuresContext.openInterest?.source || '').endsWith('_volume_proxy') ? ' (Volume Proxy)' : ''}
+                    </div>
                     <div className={`value ${toneClass(data.futuresContext.openInterest?.changePct)}`}>
                       {data.futuresContext.openInterest?.changePct != null ? fmtPct(data.futuresContext.openInterest.changePct, 2) : '-'}
                     </div>
@@ -736,9 +840,23 @@ export default function Home() {
                       <td>{data.liquidityHeatmap.resistanceZones?.[0]?.intensity != null ? `${data.liquidityHeatmap.resistanceZones[0].intensity}%` : '-'}</td>
                     </tr>
                     <tr>
-                      <td>Strongest Node</td>
-                      <td>${fmt(data.liquidityHeatmap.hotspots?.[0]?.center)}</td>
-                      <td>{data.liquidityHeatmap.hotspots?.[0]?.intensity != null ? `${data.liquidityHeatmap.hotspots[0].intensity}%` : '-'}</td>
+                      <td>Point of Control</td>
+                      <td>${fmt(data.liquidityHeatmap.profile?.poc?.center)}</td>
+                      <td>{data.liquidityHeatmap.profile?.poc ? '100%' : '-'}</td>
+                    </tr>
+                    <tr>
+                      <td>Value Area (70%)</td>
+                      <td>
+                        {data.liquidityHeatmap.profile
+                          ? `$${fmt(data.liquidityHeatmap.profile.valueAreaLow)} - $${fmt(data.liquidityHeatmap.profile.valueAreaHigh)}`
+                          : '-'}
+                      </td>
+                      <td>-</td>
+                    </tr>
+                    <tr>
+                      <td>Low-Volume Gap</td>
+                      <td>${fmt(data.liquidityHeatmap.profile?.lowVolumeNodes?.[0]?.center)}</td>
+                      <td>{data.liquidityHeatmap.profile?.lowVolumeNodes?.[0]?.intensity != null ? `${data.liquidityHeatmap.profile.lowVolumeNodes[0].intensity}%` : '-'}</td>
                     </tr>
                   </tbody>
                 </table>
@@ -842,6 +960,97 @@ export default function Home() {
                   <div className="label">Volume Ratio</div>
                   <div className="value">{data.indicators.volumeRatio ?? '-'}</div>
                 </div>
+                <div className="indicator-card">
+                  <div className="label">Ichimoku</div>
+                  <div className={`value ${toneClass(data.indicators.ichimoku ? (data.indicators.ichimoku.cloud === 'above' ? 1 : data.indicators.ichimoku.cloud === 'below' ? -1 : 0) : null)}`}>
+                    {data.indicators.ichimoku
+                      ? `${data.indicators.ichimoku.cloud} cloud${data.indicators.ichimoku.tkCross ? ` · ${data.indicators.ichimoku.tkCross} TK` : ''}`
+                      : '-'}
+                  </div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">Supertrend</div>
+                  <div className={`value ${toneClass(data.indicators.supertrend ? (data.indicators.supertrend.direction === 'up' ? 1 : -1) : null)}`}>
+                    {data.indicators.supertrend
+                      ? `${data.indicators.supertrend.direction === 'up' ? 'Up' : 'Down'} · $${fmt(data.indicators.supertrend.value)}`
+                      : '-'}
+                  </div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">Keltner</div>
+                  <div className="value">
+                    {data.indicators.keltner
+                      ? `$${fmt(data.indicators.keltner.lower)} / $${fmt(data.indicators.keltner.upper)}${data.indicators.keltner.squeeze ? ' · squeeze' : ''}`
+                      : '-'}
+                  </div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">Donchian 20</div>
+                  <div className={`value ${toneClass(data.indicators.donchian?.breakout ? (data.indicators.donchian.breakout === 'up' ? 1 : -1) : null)}`}>
+                    {data.indicators.donchian
+                      ? `$${fmt(data.indicators.donchian.lower)} / $${fmt(data.indicators.donchian.upper)}`
+                      : '-'}
+                  </div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">OBV Slope</div>
+                  <div className={`value ${toneClass(data.indicators.obv?.slope)}`}>
+                    {data.indicators.obv?.slope != null ? fmt(data.indicators.obv.slope, 2) : '-'}
+                    {data.indicators.obv?.divergence ? ` (${data.indicators.obv.divergence} div)` : ''}
+                  </div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">Chaikin MF</div>
+                  <div className={`value ${toneClass(data.indicators.cmf)}`}>
+                    {data.indicators.cmf != null ? fmt(data.indicators.cmf, 3) : '-'}
+                  </div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">A/D Slope</div>
+                  <div className={`value ${toneClass(data.indicators.adl?.slope)}`}>
+                    {data.indicators.adl?.slope != null ? fmt(data.indicators.adl.slope, 2) : '-'}
+                  </div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">Divergence</div>
+                  <div className={`value ${toneClass(data.indicators.divergences?.[0] ? (data.indicators.divergences[0].direction === 'bullish' ? 1 : -1) : null)}`}>
+                    {data.indicators.divergences?.length
+                      ? `${data.indicators.divergences[0].kind} ${data.indicators.divergences[0].direction} ${data.indicators.divergences[0].oscillator.toUpperCase()}`
+                      : 'None'}
+                  </div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">Candle Pattern</div>
+                  <div className={`value ${toneClass(data.indicators.candlePatterns?.[0] ? (data.indicators.candlePatterns[0].direction === 'bullish' ? 1 : data.indicators.candlePatterns[0].direction === 'bearish' ? -1 : 0) : null)}`}>
+                    {data.indicators.candlePatterns?.length
+                      ? `${data.indicators.candlePatterns[0].pattern.replace(/_/g, ' ')}${data.indicators.candlePatterns[0].location ? ` @ ${data.indicators.candlePatterns[0].location.type}` : ''}`
+                      : 'None'}
+                  </div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">Session VWAP</div>
+                  <div className="value">${fmt(data.indicators.vwap?.session?.vwap)}</div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">VWAP ±2σ</div>
+                  <div className="value">
+                    {data.indicators.vwap?.session
+                      ? `$${fmt(data.indicators.vwap.session.lower2)} / $${fmt(data.indicators.vwap.session.upper2)}`
+                      : '-'}
+                  </div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">AVWAP Swing High</div>
+                  <div className="value">${fmt(data.indicators.vwap?.anchored?.swingHigh?.vwap)}</div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">AVWAP Swing Low</div>
+                  <div className="value">${fmt(data.indicators.vwap?.anchored?.swingLow?.vwap)}</div>
+                </div>
+                <div className="indicator-card">
+                  <div className="label">AVWAP Volume Node</div>
+                  <div className="value">${fmt(data.indicators.vwap?.anchored?.volumeNode?.vwap)}</div>
+                </div>
               </div>
             </div>
 
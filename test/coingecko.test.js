@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const MINUTE_MS = 60 * 1000;
+const SDK_PATH = require.resolve('@coingecko/coingecko-typescript');
+const calls = [];
+
+// Demo-plan behaviour: days=1 is the only window with 5-minute points.
+function chartPoints(days) {
+  const now = Date.now();
+  const step = days === 1 ? 5 * MINUTE_MS : days > 90 ? 24 * 60 * MINUTE_MS : 60 * MINUTE_MS;
+  const count = Math.floor((days * 24 * 60 * MINUTE_MS) / step);
+  const series = (base) => Array.from({ length: count }, (_, i) => [
+    now - (count - 1 - i) * step,
+    base + Math.sin(i / 7) * base * 0.02 + i * 0.001,
+  ]);
+  return { prices: series(100), total_volumes: series(1e9), market_caps: [] };
+}
+
+class FakeCoinGecko {
+  constructor() {
+    this.coins = {
+      marketChart: {
+        get: async (id, params) => {
+          calls.push(`marketChart:${params.days}`);
+          return chartPoints(Number(params.days));
+        },
+        getRange: async () => {
+          calls.push('marketChart.getRange');
+          throw Object.assign(new Error('interval=5m is Enterprise-only'), { status: 401 });
+        },
+      },
+      ohlc: { get: async () => [] },
+    };
+    this.simple = { price: { get: async () => ({}) } };
+  }
+}
+
+require.cache[SDK_PATH] = { id: SDK_PATH, filename: SDK_PATH, loaded: true, exports: FakeCoinGecko };
+delete process.env.COINGECKO_API_ENV;
+delete process.env.COINGECKO_ENTERPRISE;
+process.env.MARKET_DATA_PROVIDER = 'coingecko';
+
+const { fetchCandles } = require('../lib/providers/coingecko');
+const { fetchOHLCV, generateSignal, historyRequirement } = require('../lib/signalGenerator');
+
+test('15m on a plan capped at one day serves the real candles with the shortfall reported', async () => {
+  const limit = historyRequirement('15m').bars;
+  const candles = await fetchCandles('bitcoin', '15m', limit);
+
+  assert.ok(candles.length > 0 && candles.length < limit);
+  assert.equal(candles.dataSource, 'coingecko_proxy');
+  assert.deepEqual(
+    { bars: candles.historyCap.bars, requested: candles.historyCap.requested, maxChartDays: candles.historyCap.maxChartDays },
+    { bars: candles.length, requested: limit, maxChartDays: 1 },
+  );
+  assert.ok(!calls.includes('marketChart.getRange'));
+});
+
+test('a short 15m series degrades to skipped indicators instead of synthetic data', async () => {
+  const limit = historyRequirement('15m').bars;
+  const ohlcv = await fetchOHLCV('BTCUSDT', '15m', limit, { geckoId: 'bitcoin', synthetic: false });
+  assert.equal(ohlcv.dataSource, 'coingecko_proxy');
+
+  const result = generateSignal(ohlcv, 'swing', 'moderate', {});
+  const skipped = result.dataCoverage.skippedIndicators.map((item) => item.id);
+  assert.ok(skipped.includes('sma200'));
+  assert.equal(result.dataCoverage.historyCap.requested, limit);
+  assert.equal(result.indicators.sma200 ?? null, null);
+  assert.ok(['BUY', 'SELL', 'HOLD'].includes(result.signal));
+});
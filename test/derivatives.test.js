@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 10, 0, 0, 0);
+const MODULE_PATH = require.resolve('../lib/derivatives');
+
+// Binance USDT-M futures response shapes (numbers arrive as strings).
+function historyRows(count, periodMs, readRow) {
+  return Array.from({ length: count }, (_, i) => readRow(NOW - (count - 1 - i) * periodMs, i));
+}
+
+const PAYLOADS = {
+  '/fapi/v1/premiumIndex': () => ({
+    symbol: 'ETHUSDT',
+    markPrice: '2300.10000000',
+    indexPrice: '2299.80000000',
+    lastFundingRate: '0.00010000',
+    nextFundingTime: NOW + 8 * HOUR_MS,
+    interestRate: '0.00010000',
+    time: NOW,
+  }),
+  '/fapi/v1/fundingRate': () => historyRows(3, 8 * HOUR_MS, (time) => ({
+    symbol: 'ETHUSDT',
+    fundingTime: time,
+    fundingRate: '0.00010000',
+    markPrice: '2300.00000000',
+  })),
+  '/futures/data/openInterestHist': () => historyRows(26, HOUR_MS, (timestamp, i) => ({
+    symbol: 'ETHUSDT',
+    sumOpenInterest: String(1000 + i),
+    sumOpenInterestValue: String(i === 25 ? 1100000 : 1000000),
+    timestamp,
+  })),
+  '/futures/data/globalLongShortAccountRatio': () => historyRows(26, HOUR_MS, (timestamp, i) => ({
+    symbol: 'ETHUSDT',
+    longShortRatio: i === 25 ? '2.0000' : '1.6000',
+    longAccount: '0.6000',
+    shortAccount: '0.4000',
+    timestamp,
+  })),
+};
+
+async function startMockVenue({ rateLimitOnce = [] } = {}) {
+  const requests = [];
+  const limited = new Set(rateLimitOnce);
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://127.0.0.1');
+    requests.push({ path: url.pathname, query: Object.fromEntries(url.searchParams) });
+    if (limited.delete(url.pathname)) {
+      res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+      res.end(JSON.stringify({ code: -1003, msg: 'Too many requests' }));
+      return;
+    }
+    const payload = PAYLOADS[url.pathname];
+    if (!payload) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ code: -1121, msg: 'Invalid symbol.' }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload()));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+// The adapter reads its env at load time, so each case gets a fresh copy.
+function loadDerivatives(env) {
+  const saved = {};
+  for (const [key, value] of Object.entries(env)) {
+    saved[key] = process.env[key];
+    if (value == null) delete process.env[key];
+    else process.env[key] = value;
+  }
+  try {
+    delete require.cache[MODULE_PATH];
+    return require(MODULE_PATH);
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+}
+
+test('derivatives adapter is off unless DERIVATIVES_PROVIDER=perp', async () => {
+  const venue = await startMockVenue();
+  try {
+    const { fetchDerivativesSnapshot } = loadDerivatives({
+      DERIVATIVES_PROVIDER: null,
+      DERIVATIVES_API_BASE_URL: venue.baseUrl,
+    });
+    assert.equal(await fetchDerivativesSnapshot('ETHUSDT', '1h'), null);
+    assert.equal(venue.requests.length, 0);
+  } finally {
+    await venue.close();
+  }
+});
+
+test('derivatives adapter summarizes Binance-shaped funding, open interest and long/short payloads', async () => {
+  const venue = await startMockVenue();
+  try {
+    const { fetchDerivativesSnapshot } = loadDerivatives({
+      DERIVATIVES_PROVIDER: 'perp',
+      DERIVATIVES_API_BASE_URL: venue.baseUrl,
+    });
+    const snapshot = await fetchDerivativesSnapshot('ETHUSDT', '1h');
+
+    assert.equal(snapshot.period, '1h');
+    assert.equal(snapshot.fundingRate.current, 0.0001);
+    assert.ok(Math.abs(snapshot.fundingRate.annualizedPct - 10.95) < 1e-9);
+    assert.equal(snapshot.fundingRate.nextFundingTime, new Date(NOW + 8 * HOUR_MS).toISOString());
+    assert.equal(snapshot.openInterest.latest, 1100000);
+    assert.ok(Math.abs(snapshot.openInterest.changePct - 10) < 1e-9);
+    assert.equal(snapshot.longShortRatio.ratio, 2);
+    assert.ok(Math.abs(snapshot.longShortRatio.changePct - 25) < 1e-9);
+    assert.equal(snapshot.openInterest.source, 'perp_api');
+
+    const oiRequest = venue.requests.find((r) => r.path === '/futures/data/openInterestHist');
+    assert.deepEqual(oiRequest.query, { symbol: 'ETHUSDT', period: '1h', limit: '26' });
+  } finally {
+    await venue.close();
+  }
+});
+
+test('derivatives calls go through the scheduler and retry an upstream 429', async () => {
+  const venue = await startMockVenue({ rateLimitOnce: ['/fapi/v1/premiumIndex'] });
+  try {
+    const { fetchDerivativesSnapshot } = loadDerivatives({
+      DERIVATIVES_PROVIDER: 'perp',
+      DERIVATIVES_API_BASE_URL: venue.baseUrl,
+    });
+    const { getSchedulerStats } = require('../lib/requestScheduler');
+    const before = getSchedulerStats().buckets.find((b) => b.name === 'derivatives');
+    const snapshot = await fetchDerivativesSnapshot('ETHUSDT', '4h');
+    const after = getSchedulerStats().buckets.find((b) => b.name === 'derivatives');
+
+    assert.equal(snapshot.fundingRate.current, 0.0001);
+    assert.equal(venue.requests.filter((r) => r.path === '/fapi/v1/premiumIndex').length, 2);
+    assert.equal(after.requests - (before?.requests || 0), 4);
+    assert.equal(after.rateLimited - (before?.rateLimited || 0), 1);
+    assert.equal(after.retries - (before?.retries || 0), 1);
+  } finally {
+    await venue.close();
+  }
+});
+
+test('a venue that rejects every call throws with its error instead of returning nothing', async () => {
+  const venue = await startMockVenue();
+  try {
+    const { fetchDerivativesSnapshot } = loadDerivatives({
+      DERIVATIVES_PROVIDER: 'perp',
+      DERIVATIVES_API_BASE_URL: `${venue.baseUrl}/missing`,
+    });
+    await assert.rejects(fetchDerivativesSnapshot('ETHUSDT', '1h'), /Derivatives API unavailable for ETHUSDT: .*responded 404/);
+  } finally {
+    await venue.close();
+  }
+});
+
+test('spot-volume proxy open interest is reported but not scored', async () => {
+  const { fetchSyntheticOHLCV, generateSignal, historyRequirement } = require('../lib/signalGenerator');
+  const ohlcv = await fetchSyntheticOHLCV('ETHUSDT', '4h', historyRequirement('4h').bars, { scenario: 'steady_uptrend' });
+  const futuresContext = (source) => ({
+    fundingRate: { current: null, annualizedPct: null, nextFundingTime: null, source: null },
+    openInterest: { latest: 5e9, changePct: 30, source },
+    longShortRatio: { ratio: null, changePct: null, source: null },
+    source,
+  });
+
+  const proxied = generateSignal(ohlcv, 'swing', 'moderate', { futuresContext: futuresContext('coingecko_volume_proxy') });
+  assert.equal(proxied.futuresContext.openInterest.changePct, 30);
+  assert.ok(!proxied.reasons.some((reason) => /Open interest/.test(reason)));
+  assert.ok(!proxied.liquidationRiskMeter.factors.includes('Open interest expanding quickly'));
+  assert.equal(proxied.breakoutFakeoutDetector.metrics.oiChangePct, null);
+
+  const venue = generateSignal(ohlcv, 'swing', 'moderate', { futuresContext: futuresContext('perp_api') });
+  assert.ok(venue.reasons.some((reason) => /Open interest rising 30\.0%/.test(reason)));
+  assert.ok(venue.liquidationRiskMeter.factors.includes('Open interest expanding quickly'));
+});
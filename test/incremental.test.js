@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRsi, createAtr, createMacd, createAdx } = require('../lib/incremental');
+const { computeIndicators } = require('../lib/indicators');
+const { fetchSyntheticOHLCV } = require('../lib/signalGenerator');
+
+// 300 bars wrap the 14-bar RSI/ATR rings about twenty times.
+const BARS = 300;
+
+function assertClose(actual, expected, label) {
+  if (expected === null || actual === null) {
+    assert.equal(actual, expected, label);
+    return;
+  }
+  assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${label}: ${actual} vs ${expected}`);
+}
+
+function createIncremental() {
+  const closes = [createRsi(14), createMacd(12, 26, 9)];
+  const candles = [createAtr(14), createAdx(14)];
+  return {
+    all: [...closes, ...candles],
+    read: (method, candle) => {
+      const [rsi, macd] = closes.map((indicator) => indicator[method](candle.close));
+      const [atr, adx] = candles.map((indicator) => indicator[method](candle));
+      return { rsi, macd, atr, adx };
+    },
+  };
+}
+
+function assertMatchesBatch(values, batch, label) {
+  assertClose(values.rsi, batch.rsi, `${label} rsi`);
+  assertClose(values.atr, batch.atr14, `${label} atr`);
+  assertClose(values.adx, batch.adx14, `${label} adx`);
+  ['line', 'signal', 'histogram'].forEach((key) => assertClose(values.macd[key], batch.macd[key], `${label} macd.${key}`));
+}
+
+test('incremental push and preview match the batch RSI, ATR, MACD and ADX on every bar', async () => {
+  const ohlcv = await fetchSyntheticOHLCV('ETHUSDT', '1h', BARS, { scenario: 'choppy_range' });
+  const incremental = createIncremental();
+
+  ohlcv.forEach((candle, i) => {
+    const batch = computeIndicators(ohlcv.slice(0, i + 1));
+    assertMatchesBatch(incremental.read('preview', candle), batch, `bar ${i} preview`);
+    assertMatchesBatch(incremental.read('push', candle), batch, `bar ${i} push`);
+  });
+});
+
+test('preview leaves the indicator state untouched', async () => {
+  const ohlcv = await fetchSyntheticOHLCV('ETHUSDT', '1h', BARS, { scenario: 'capitulation_crash' });
+  const incremental = createIncremental();
+  const untouched = createIncremental();
+
+  ohlcv.forEach((candle, i) => {
+    const before = incremental.all.map((indicator) => [indicator.value(), indicator.count()]);
+    // A spike that would skew every running sum if it were committed.
+    incremental.read('preview', { ...candle, high: candle.high * 3, close: candle.close * 2 });
+    assert.deepEqual(incremental.all.map((indicator) => [indicator.value(), indicator.count()]), before, `bar ${i}`);
+
+    assert.deepEqual(incremental.read('push', candle), untouched.read('push', candle), `bar ${i}`);
+  });
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  fetchSyntheticOHLCV,
+  generateSignal,
+  historyRequirement,
+  summarizeTimeframe,
+} = require('../lib/signalGenerator');
+const { analyzeMarketStructure } = require('../lib/marketStructure');
+const { buildVolumeProfile } = require('../lib/volumeProfile');
+
+// The ETH scenario rescaled to a sub-cent coin, where two decimals would flatten every level to 0.
+async function subCentCandles(scenario = 'steady_uptrend', timeframe = '4h') {
+  const ohlcv = await fetchSyntheticOHLCV('ETHUSDT', timeframe, historyRequirement(timeframe).bars, { scenario });
+  const scale = 1e-6;
+  return ohlcv.map((c) => ({ ...c, open: c.open * scale, high: c.high * scale, low: c.low * scale, close: c.close * scale }));
+}
+
+function assertNear(actual, expected, label) {
+  assert.ok(actual > 0, `${label} is ${actual}`);
+  assert.ok(Math.abs(actual - expected) / expected < 1e-4, `${label}: ${actual} vs ${expected}`);
+}
+
+test('market structure levels keep the precision of a sub-cent price', async () => {
+  const ohlcv = await subCentCandles();
+  const raw = analyzeMarketStructure(ohlcv);
+  const { marketStructure } = generateSignal(ohlcv, 'swing', 'moderate', {});
+
+  raw.swings.forEach((swing, i) => assertNear(marketStructure.swings[i].price, swing.price, `swing ${i}`));
+  assertNear(marketStructure.swingHigh.price, raw.swingHigh.price, 'swingHigh');
+  assertNear(marketStructure.swingLow.price, raw.swingLow.price, 'swingLow');
+  if (raw.lastEvent) assertNear(marketStructure.lastEvent.level, raw.lastEvent.level, 'lastEvent');
+});
+
+test('Fibonacci levels and snapped targets keep the precision of a sub-cent price', async () => {
+  const ohlcv = await subCentCandles();
+  const price = ohlcv[ohlcv.length - 1].close;
+  const result = generateSignal(ohlcv, 'swing', 'moderate', { fibSnap: true });
+  const { fibonacci } = result;
+
+  assert.ok(fibonacci.leg.start.price > 0 && fibonacci.leg.end.price > 0);
+  [...fibonacci.retracements, ...fibonacci.extensions].forEach((level) => assert.ok(level.price > 0, `${level.kind} ${level.ratio}`));
+  assertNear(result.currentPrice, price, 'currentPrice');
+  assert.notEqual(result.signal, 'HOLD');
+  assertNear(result.takeProfit1, price * (1 + result.takeProfit1Pct / 100), 'takeProfit1');
+  assertNear(result.takeProfit2, price * (1 + result.takeProfit2Pct / 100), 'takeProfit2');
+  assert.ok(result.entryRange.low > 0 && result.entryRange.low < result.entryRange.high);
+});
+
+test('timeframe summaries keep the precision of a sub-cent price', async () => {
+  const ohlcv = await subCentCandles();
+  const raw = analyzeMarketStructure(ohlcv);
+  const summary = summarizeTimeframe(ohlcv, '4h');
+
+  assertNear(summary.price, ohlcv[ohlcv.length - 1].close, 'price');
+  assertNear(summary.keyLevels.swingHigh, raw.swingHigh.price, 'swingHigh');
+  assertNear(summary.keyLevels.swingLow, raw.swingLow.price, 'swingLow');
+  assert.ok(summary.keyLevels.ema50 > 0 && summary.keyLevels.sma200 > 0);
+});
+
+test('volume profile levels stay distinct on a sub-cent price and break levels match the unscaled ones', async () => {
+  const ohlcv = await subCentCandles('breakout_fakeout');
+  const profile = buildVolumeProfile(ohlcv);
+  assert.ok(profile.poc.low > 0 && profile.poc.low < profile.poc.center && profile.poc.center < profile.poc.high);
+  assert.ok(profile.valueAreaLow > 0 && profile.valueAreaLow < profile.valueAreaHigh);
+
+  const unscaled = await fetchSyntheticOHLCV('ETHUSDT', '4h', historyRequirement('4h').bars, { scenario: 'breakout_fakeout' });
+  const expected = generateSignal(unscaled, 'swing', 'moderate', {}).breakoutFakeoutDetector;
+  const detector = generateSignal(ohlcv, 'swing', 'moderate', {}).breakoutFakeoutDetector;
+  assert.equal(detector.pattern, expected.pattern);
+  assertNear(detector.breakLevel, expected.breakLevel * 1e-6, 'breakLevel');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  fetchSyntheticOHLCV,
+  generateSignal,
+  historyRequirement,
+  summarizeTimeframe,
+} = require('../lib/signalGenerator');
+
+const TIMEFRAMES = ['15m', '1h', '4h', '1d'];
+const SYMBOLS = ['ETHUSDT', 'BTCUSDT', 'SOLUSDT'];
+
+async function scenarioRun(scenario, timeframe, symbol = 'ETHUSDT') {
+  const ohlcv = await fetchSyntheticOHLCV(symbol, timeframe, historyRequirement(timeframe).bars, { scenario });
+  return {
+    result: generateSignal(ohlcv, 'swing', 'moderate', {}),
+    summary: summarizeTimeframe(ohlcv, timeframe),
+  };
+}
+
+test('steady_uptrend reads as a bullish uptrend and never signals SELL', async () => {
+  for (const symbol of SYMBOLS) {
+    for (const timeframe of TIMEFRAMES) {
+      const { result, summary } = await scenarioRun('steady_uptrend', timeframe, symbol);
+      const label = `${symbol} ${timeframe}`;
+      assert.equal(summary.regime, 'uptrend', label);
+      assert.equal(summary.bias, 'BULLISH', label);
+      assert.notEqual(result.signal, 'SELL', label);
+    }
+  }
+});
+
+test('choppy_range reads as a neutral range', async () => {
+  for (const symbol of SYMBOLS) {
+    for (const timeframe of TIMEFRAMES) {
+      const { summary } = await scenarioRun('choppy_range', timeframe, symbol);
+      const label = `${symbol} ${timeframe}`;
+      assert.equal(summary.regime, 'range', label);
+      assert.equal(summary.bias, 'NEUTRAL', label);
+      assert.equal(summary.strongTrend, false, label);
+    }
+  }
+});
+
+test('capitulation_crash reads as a bearish downtrend and never signals BUY', async () => {
+  for (const symbol of SYMBOLS) {
+    for (const timeframe of TIMEFRAMES) {
+      const { result, summary } = await scenarioRun('capitulation_crash', timeframe, symbol);
+      const label = `${symbol} ${timeframe}`;
+      assert.equal(summary.regime, 'downtrend', label);
+      assert.equal(summary.bias, 'BEARISH', label);
+      assert.notEqual(result.signal, 'BUY', label);
+    }
+  }
+});
+
+test('breakout_fakeout: the low-volume poke above the range is flagged as an upside fakeout', async () => {
+  for (const symbol of SYMBOLS) {
+    for (const timeframe of TIMEFRAMES) {
+      const { result } = await scenarioRun('breakout_fakeout', timeframe, symbol);
+      assert.equal(result.breakoutFakeoutDetector.pattern, 'FAKEOUT_UP', `${symbol} ${timeframe}`);
+    }
+  }
+});
+
+test('trend followers each score their own rule and the trend category is capped as a whole', async () => {
+  const { result } = await scenarioRun('short_squeeze', '4h');
+  assert.ok(result.reasons.some((reason) => /^Supertrend bullish|^Supertrend flipped bullish/.test(reason)));
+  assert.ok(result.reasons.some((reason) => /^Ichimoku bullish/.test(reason)));
+  assert.ok(result.reasons.some((reason) => /^Trend Structure buy evidence capped at 4\.5 points/.test(reason)));
+  const trend = result.signalQuality.breakdown.find((item) => item.key === 'trend');
+  assert.ok(trend.points <= 4.5);
+});
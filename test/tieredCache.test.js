@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const REDIS_PATH = require.resolve('../lib/redis');
+const store = new Map();
+
+// In-memory stand-in for the Upstash client.
+const redis = {
+  get: async (key) => store.get(key) ?? null,
+  set: async (key, value) => {
+    store.set(key, value);
+  },
+};
+require.cache[REDIS_PATH] = { id: REDIS_PATH, filename: REDIS_PATH, loaded: true, exports: { redis } };
+process.env.TEST_SEARCH_CACHE_TTL_MS = '1000';
+
+const { defineCache, readThrough } = require('../lib/tieredCache');
+
+test('remote keys default to the shared prefix and namespace', async () => {
+  const cache = defineCache('candles-test', 'TEST_CANDLES', { ttlMs: 60 * 1000, staleTtlMs: 10 * 60 * 1000 });
+  await readThrough(cache, 'bitcoin|4h', async () => [1, 2, 3]);
+  assert.deepEqual(store.get('data-cache:v1:candles-test:bitcoin|4h').value, [1, 2, 3]);
+});
+
+test('a cache can keep its own remote prefix and a higher TTL floor', async () => {
+  const cache = defineCache('coin-search', 'TEST_SEARCH', {
+    ttlMs: 20 * 60 * 1000,
+    staleTtlMs: 12 * 60 * 60 * 1000,
+    minTtlMs: 60 * 1000,
+    remotePrefix: 'coin-search:v1:',
+  });
+  assert.equal(cache.ttlMs, 60 * 1000);
+
+  const now = Date.now();
+  store.set('coin-search:v1:eth|10', { value: ['ethereum'], createdAt: now, expiresAt: now + 60 * 1000, staleUntil: now + 120 * 1000 });
+  const cached = await readThrough(cache, 'eth|10', async () => assert.fail('loader should not run'));
+  assert.equal(cached.status, 'HIT_REMOTE');
+  assert.deepEqual(cached.value, ['ethereum']);
+});